@@ -19,12 +19,24 @@ document.addEventListener('DOMContentLoaded', function() {
 });
 
 function initializeToolbar() {
-    // Deploy button
-    document.getElementById('deploy-btn').addEventListener('click', function() {
-        const flow = flowEditor.exportFlow();
-        console.log('Deploying flow:', flow);
-        // Here you would typically send the flow to a backend service
-        showNotification('Flow deployed successfully!', 'success');
+    // Deploy button - only enabled while there are undeployed changes
+    const deployBtn = document.getElementById('deploy-btn');
+    const deployMode = document.getElementById('deploy-mode');
+    deployBtn.disabled = !flowEditor.hasChanges();
+    
+    deployBtn.addEventListener('click', function() {
+        const result = flowEditor.deploy(deployMode ? deployMode.value : 'full');
+        const detail = result.triggers > 0 ? ` ${result.triggers} trigger(s) running.` : '';
+        const scope = result.mode === 'full' ? 'Flow deployed' : `${result.restarted.length} node(s) deployed`;
+        showNotification(`${scope} successfully!${detail}`, 'success');
+    });
+    
+    document.addEventListener('flow-change', function(e) {
+        deployBtn.disabled = !e.detail.hasChanges;
+    });
+    
+    document.addEventListener('flow-notify', function(e) {
+        showNotification(e.detail.message, e.detail.type);
     });
     
     // Save button
@@ -155,13 +167,13 @@ function initializeKeyboardShortcuts() {
 }
 
 function initializeExecutionFeedback() {
-    // Override the executeExampleDataNode method to add UI feedback
+    // Notify when an Example Data node is injected
     if (window.flowEditor) {
-        const originalExecute = flowEditor.executeExampleDataNode.bind(flowEditor);
-        flowEditor.executeExampleDataNode = function(node) {
-            showNotification(`Executing: ${node.config.name || 'Example Data'}`, 'info');
-            return originalExecute(node);
-        };
+        flowEditor.runtime.on('execute', function(node) {
+            if (node.type === 'exampleData') {
+                showNotification(`Executing: ${node.config.name || 'Example Data'}`, 'info');
+            }
+        });
     }
 }
 
@@ -279,6 +291,7 @@ window.addEventListener('resize', function() {
 // Export functions for potential use in console or external scripts
 window.FlowEditor = {
     instance: () => flowEditor,
+    getNodeStatus: nodeId => flowEditor.getNodeStatus(nodeId),
     loadFlow,
     downloadFlow,
     uploadFlow,
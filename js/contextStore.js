@@ -0,0 +1,296 @@
+// Context storage - data that outlives a single message, kept at three scopes:
+//   node    private to one node          (scope key "node:<nodeId>")
+//   flow    shared by the nodes of a tab (scope key "flow:<flowId>")
+//   global  shared by every node         (scope key "global")
+//
+// Values live in memory so reads are synchronous (Function nodes, Filter expressions);
+// a pluggable backend loads them at startup and saves them shortly after each change.
+// Backends implement load() -> Promise<data> and save(data) -> Promise.
+
+// Keys that would reach into an object's prototype
+const BLOCKED_CONTEXT_KEYS = ['__proto__', 'prototype', 'constructor'];
+
+class MemoryContextBackend {
+    load() {
+        return Promise.resolve({});
+    }
+
+    save() {
+        return Promise.resolve();
+    }
+}
+
+class LocalStorageContextBackend {
+    constructor(key = 'flowContext') {
+        this.key = key;
+    }
+
+    load() {
+        try {
+            const saved = localStorage.getItem(this.key);
+            return Promise.resolve(saved ? JSON.parse(saved) : {});
+        } catch (error) {
+            return Promise.reject(error);
+        }
+    }
+
+    save(data) {
+        try {
+            localStorage.setItem(this.key, JSON.stringify(data));
+            return Promise.resolve();
+        } catch (error) {
+            return Promise.reject(error);
+        }
+    }
+}
+
+// One IndexedDB record per scope, keyed by scope key
+class IndexedDBContextBackend {
+    constructor(databaseName = 'nextlevel-context') {
+        this.databaseName = databaseName;
+        this.database = null;
+    }
+
+    open() {
+        if (this.database) return Promise.resolve(this.database);
+
+        return new Promise((resolve, reject) => {
+            const request = indexedDB.open(this.databaseName, 1);
+            request.onupgradeneeded = () => request.result.createObjectStore('scopes');
+            request.onsuccess = () => {
+                this.database = request.result;
+                resolve(this.database);
+            };
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    load() {
+        return this.open().then(database => new Promise((resolve, reject) => {
+            const data = {};
+            const request = database.transaction('scopes', 'readonly').objectStore('scopes').openCursor();
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (cursor) {
+                    data[cursor.key] = cursor.value;
+                    cursor.continue();
+                } else {
+                    resolve(data);
+                }
+            };
+            request.onerror = () => reject(request.error);
+        }));
+    }
+
+    save(data) {
+        return this.open().then(database => new Promise((resolve, reject) => {
+            const transaction = database.transaction('scopes', 'readwrite');
+            const scopes = transaction.objectStore('scopes');
+            scopes.clear();
+            Object.keys(data).forEach(scopeKey => scopes.put(data[scopeKey], scopeKey));
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+        }));
+    }
+}
+
+// JSON file on disk, for the headless runtime
+class FileContextBackend {
+    constructor(filePath) {
+        this.filePath = filePath;
+    }
+
+    load() {
+        const fs = require('fs');
+        try {
+            if (!fs.existsSync(this.filePath)) return Promise.resolve({});
+            return Promise.resolve(JSON.parse(fs.readFileSync(this.filePath, 'utf8')));
+        } catch (error) {
+            return Promise.reject(error);
+        }
+    }
+
+    // Written synchronously so a flush from a process exit handler still reaches the disk
+    save(data) {
+        const fs = require('fs');
+        try {
+            const tempPath = `${this.filePath}.tmp`;
+            fs.writeFileSync(tempPath, JSON.stringify(data, null, 2));
+            fs.renameSync(tempPath, this.filePath);
+            return Promise.resolve();
+        } catch (error) {
+            return Promise.reject(error);
+        }
+    }
+}
+
+class ContextStore {
+    constructor(options = {}) {
+        this.backend = options.backend || new MemoryContextBackend();
+        this.saveDelay = options.saveDelay !== undefined ? options.saveDelay : 500;
+        this.logger = options.logger || console;
+        this.data = {};
+        this.saveTimer = null;
+        this.listeners = [];
+    }
+
+    static nodeScope(nodeId) {
+        return `node:${nodeId}`;
+    }
+
+    // Flows exported without tabs share one flow scope
+    static flowScope(flowId) {
+        return `flow:${flowId || 'default'}`;
+    }
+
+    static globalScope() {
+        return 'global';
+    }
+
+    // Read what the backend saved; values written while it loads take precedence
+    load() {
+        return this.backend.load().then(data => {
+            const saved = data && typeof data === 'object' ? data : {};
+            Object.keys(this.data).forEach(scopeKey => {
+                saved[scopeKey] = Object.assign(saved[scopeKey] || {}, this.data[scopeKey]);
+            });
+            this.data = saved;
+            this.emitChange(null);
+            return this;
+        });
+    }
+
+    // Switch backends, carrying the current values over to the new one
+    setBackend(backend) {
+        this.backend = backend;
+        return this.flush();
+    }
+
+    // The live values of a scope, for read-only use such as expression evaluation
+    scopeData(scopeKey) {
+        return this.data[scopeKey] || {};
+    }
+
+    get(scopeKey, key) {
+        const scope = this.data[scopeKey];
+        return scope && Object.prototype.hasOwnProperty.call(scope, key) ? scope[key] : undefined;
+    }
+
+    // Setting a key to undefined deletes it
+    set(scopeKey, key, value) {
+        if (typeof key !== 'string' || key === '' || BLOCKED_CONTEXT_KEYS.includes(key)) {
+            throw new Error(`Invalid context key "${key}"`);
+        }
+        if (value === undefined) {
+            this.delete(scopeKey, key);
+            return;
+        }
+
+        if (!this.data[scopeKey]) {
+            this.data[scopeKey] = {};
+        }
+        // Stored values must survive being saved, so keep a JSON copy
+        this.data[scopeKey][key] = JSON.parse(JSON.stringify(value));
+        this.changed(scopeKey);
+    }
+
+    keys(scopeKey) {
+        return Object.keys(this.data[scopeKey] || {});
+    }
+
+    delete(scopeKey, key) {
+        const scope = this.data[scopeKey];
+        if (!scope || !Object.prototype.hasOwnProperty.call(scope, key)) return;
+
+        delete scope[key];
+        if (Object.keys(scope).length === 0) {
+            delete this.data[scopeKey];
+        }
+        this.changed(scopeKey);
+    }
+
+    // Clear one scope, or everything when no scope is given
+    clear(scopeKey) {
+        if (scopeKey === undefined) {
+            this.data = {};
+        } else if (this.data[scopeKey]) {
+            delete this.data[scopeKey];
+        } else {
+            return;
+        }
+        this.changed(scopeKey === undefined ? null : scopeKey);
+    }
+
+    scopes() {
+        return Object.keys(this.data);
+    }
+
+    // get/set/keys bound to one scope
+    scope(scopeKey) {
+        return {
+            get: key => this.get(scopeKey, key),
+            set: (key, value) => this.set(scopeKey, key, value),
+            keys: () => this.keys(scopeKey)
+        };
+    }
+
+    // Apply writes recorded by the function sandbox: [{ scope: 'node' | 'flow' | 'global', key, value, remove }]
+    applyChanges(changes, scopeKeys) {
+        (changes || []).forEach(change => {
+            const scopeKey = scopeKeys[change.scope];
+            if (!scopeKey) return;
+            this.set(scopeKey, change.key, change.remove ? undefined : change.value);
+        });
+    }
+
+    onChange(handler) {
+        this.listeners.push(handler);
+        return () => {
+            this.listeners = this.listeners.filter(listener => listener !== handler);
+        };
+    }
+
+    emitChange(scopeKey) {
+        this.listeners.forEach(listener => {
+            try {
+                listener(scopeKey);
+            } catch (error) {
+                this.logger.error('Context change listener failed:', error);
+            }
+        });
+    }
+
+    changed(scopeKey) {
+        this.emitChange(scopeKey);
+        this.scheduleSave();
+    }
+
+    scheduleSave() {
+        if (this.saveTimer) return;
+
+        this.saveTimer = setTimeout(() => this.flush(), this.saveDelay);
+        // A pending save must not keep a headless process alive; close() flushes instead
+        if (this.saveTimer.unref) this.saveTimer.unref();
+    }
+
+    flush() {
+        if (this.saveTimer) {
+            clearTimeout(this.saveTimer);
+            this.saveTimer = null;
+        }
+        return this.backend.save(this.data).catch(error => {
+            this.logger.error('Failed to save context:', error);
+        });
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        ContextStore,
+        MemoryContextBackend,
+        LocalStorageContextBackend,
+        IndexedDBContextBackend,
+        FileContextBackend
+    };
+}
@@ -0,0 +1,228 @@
+// Data store - named collections of records that Output nodes (database target) write and
+// Query nodes read. Each record has a key within its collection: inserted records get a
+// generated one, and an upsert replaces the record stored under the key it is given.
+//
+// As with context, records live in memory so queries are synchronous; a pluggable backend
+// loads them at startup and saves the changed collections shortly after each write.
+// Backends implement load() -> Promise<{ collection: { key: record } }> and
+// save(changes, data) -> Promise, where changes maps each changed collection to its records
+// and data holds every collection.
+
+// Names that would reach into an object's prototype
+const BLOCKED_DATA_NAMES = ['__proto__', 'prototype', 'constructor'];
+
+// Collections and their records are kept in objects without a prototype, so a collection
+// or key named like an Object method ("toString") is just another name
+function recordsOf(value) {
+    const records = Object.create(null);
+    if (value && typeof value === 'object') {
+        Object.keys(value).forEach(key => {
+            records[key] = value[key];
+        });
+    }
+    return records;
+}
+
+class MemoryDataBackend {
+    load() {
+        return Promise.resolve({});
+    }
+
+    save() {
+        return Promise.resolve();
+    }
+}
+
+// One IndexedDB record per collection
+class IndexedDBDataBackend {
+    constructor(databaseName = 'nextlevel-data') {
+        this.databaseName = databaseName;
+        this.database = null;
+    }
+
+    open() {
+        if (this.database) return Promise.resolve(this.database);
+
+        return new Promise((resolve, reject) => {
+            const request = indexedDB.open(this.databaseName, 1);
+            request.onupgradeneeded = () => request.result.createObjectStore('collections');
+            request.onsuccess = () => {
+                this.database = request.result;
+                resolve(this.database);
+            };
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    load() {
+        return this.open().then(database => new Promise((resolve, reject) => {
+            const data = {};
+            const request = database.transaction('collections', 'readonly').objectStore('collections').openCursor();
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (cursor) {
+                    data[cursor.key] = cursor.value;
+                    cursor.continue();
+                } else {
+                    resolve(data);
+                }
+            };
+            request.onerror = () => reject(request.error);
+        }));
+    }
+
+    save(changes) {
+        return this.open().then(database => new Promise((resolve, reject) => {
+            const transaction = database.transaction('collections', 'readwrite');
+            const collections = transaction.objectStore('collections');
+            Object.keys(changes).forEach(name => collections.put(changes[name], name));
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+        }));
+    }
+}
+
+// Every collection in one JSON file, for the headless runtime
+class FileDataBackend {
+    constructor(filePath) {
+        this.filePath = filePath;
+    }
+
+    load() {
+        const fs = require('fs');
+        try {
+            if (!fs.existsSync(this.filePath)) return Promise.resolve({});
+            return Promise.resolve(JSON.parse(fs.readFileSync(this.filePath, 'utf8')));
+        } catch (error) {
+            return Promise.reject(error);
+        }
+    }
+
+    // Written synchronously so a flush from a process exit handler still reaches the disk
+    save(changes, data) {
+        const fs = require('fs');
+        try {
+            const tempPath = `${this.filePath}.tmp`;
+            fs.writeFileSync(tempPath, JSON.stringify(data));
+            fs.renameSync(tempPath, this.filePath);
+            return Promise.resolve();
+        } catch (error) {
+            return Promise.reject(error);
+        }
+    }
+}
+
+class DataStore {
+    constructor(options = {}) {
+        this.backend = options.backend || new MemoryDataBackend();
+        this.saveDelay = options.saveDelay !== undefined ? options.saveDelay : 500;
+        this.logger = options.logger || console;
+        this.data = Object.create(null);
+        this.changes = new Set();
+        this.saveTimer = null;
+        this.keyCounter = 0;
+    }
+
+    static checkName(kind, name) {
+        if (typeof name !== 'string' || name === '' || BLOCKED_DATA_NAMES.includes(name)) {
+            throw new Error(`Invalid ${kind} "${name}"`);
+        }
+    }
+
+    // Read what the backend saved; records written while it loads take precedence
+    load() {
+        return this.backend.load().then(data => {
+            const saved = recordsOf(data);
+            Object.keys(saved).forEach(name => {
+                saved[name] = recordsOf(saved[name]);
+            });
+            Object.keys(this.data).forEach(name => {
+                saved[name] = Object.assign(saved[name] || Object.create(null), this.data[name]);
+            });
+            this.data = saved;
+            return this;
+        });
+    }
+
+    count(collection) {
+        return Object.keys(this.data[collection] || {}).length;
+    }
+
+    // Store a record under a new key; returns the key. Keys sort in insertion order.
+    insert(collection, record) {
+        let key;
+        do {
+            key = `${Date.now().toString(36)}-${(this.keyCounter++).toString(36).padStart(4, '0')}`;
+        } while (this.data[collection] && Object.prototype.hasOwnProperty.call(this.data[collection], key));
+        this.upsert(collection, key, record);
+        return key;
+    }
+
+    upsert(collection, key, record) {
+        DataStore.checkName('collection name', collection);
+        DataStore.checkName('record key', key);
+        if (record === undefined) {
+            throw new Error('Cannot store an undefined record');
+        }
+
+        if (!this.data[collection]) {
+            this.data[collection] = Object.create(null);
+        }
+        // Records must survive being saved, so keep a JSON copy
+        this.data[collection][key] = JSON.parse(JSON.stringify(record));
+        this.changed(collection);
+    }
+
+    // Copies of the records that pass filter(record, key), ordered by compare(a, b) (else by
+    // key) and cut to the first `limit` when limit is above 0
+    find(collection, options = {}) {
+        const records = this.data[collection] || {};
+        let keys = Object.keys(records).sort();
+        if (options.filter) {
+            keys = keys.filter(key => options.filter(records[key], key));
+        }
+        if (options.compare) {
+            keys.sort((a, b) => options.compare(records[a], records[b]));
+        }
+        if (options.limit > 0) {
+            keys = keys.slice(0, options.limit);
+        }
+        return keys.map(key => JSON.parse(JSON.stringify(records[key])));
+    }
+
+    changed(collection) {
+        this.changes.add(collection);
+        if (this.saveTimer) return;
+
+        this.saveTimer = setTimeout(() => this.flush(), this.saveDelay);
+        // A pending save must not keep a headless process alive; close() flushes instead
+        if (this.saveTimer.unref) this.saveTimer.unref();
+    }
+
+    flush() {
+        if (this.saveTimer) {
+            clearTimeout(this.saveTimer);
+            this.saveTimer = null;
+        }
+        if (this.changes.size === 0) return Promise.resolve();
+
+        const changes = {};
+        this.changes.forEach(name => {
+            changes[name] = this.data[name];
+        });
+        this.changes.clear();
+        return this.backend.save(changes, this.data).catch(error => {
+            this.logger.error('Failed to save data store:', error);
+        });
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        DataStore,
+        MemoryDataBackend,
+        IndexedDBDataBackend,
+        FileDataBackend
+    };
+}
@@ -0,0 +1,419 @@
+// Safe expression language used by Filter nodes (no eval / new Function)
+//
+// Supports property paths (msg.payload.items[0].name), string/number/boolean/null literals,
+// array literals, arithmetic (+ - * / %), comparisons (== != === !== < <= > >=),
+// boolean logic (&& || ! and the words and, or, not), membership (x in [1, 2],
+// 'key' in msg.payload) and regex matching (msg.topic =~ /^sensor/i or msg.topic matches /^sensor/i).
+class ExpressionError extends Error {
+    constructor(message, position) {
+        super(position !== undefined ? `${message} at position ${position + 1}` : message);
+        this.name = 'ExpressionError';
+        this.position = position;
+    }
+}
+
+const Expression = (function() {
+    const KEYWORDS = {
+        true: true,
+        false: false,
+        null: null,
+        undefined: undefined
+    };
+
+    // Properties that would let an expression climb out of plain data
+    const BLOCKED_PROPERTIES = ['__proto__', 'prototype', 'constructor'];
+
+    const OPERATORS = ['===', '!==', '==', '!=', '<=', '>=', '&&', '||', '=~', '<', '>', '!', '+', '-', '*', '/', '%', '(', ')', '[', ']', '.', ','];
+
+    function tokenize(source) {
+        const tokens = [];
+        let i = 0;
+
+        // A "/" starts a regex literal only where an operand is expected: after an operator or
+        // a word operator, but not after a property named like one (msg.matches / 2)
+        const expectsOperand = () => {
+            const last = tokens[tokens.length - 1];
+            if (!last) return true;
+            if (last.type === 'op') return ![')', ']'].includes(last.value);
+            const before = tokens[tokens.length - 2];
+            return last.type === 'word' && ['in', 'matches', 'not', 'and', 'or'].includes(last.value) &&
+                !(before && before.type === 'op' && before.value === '.');
+        };
+
+        while (i < source.length) {
+            const ch = source[i];
+
+            if (/\s/.test(ch)) {
+                i++;
+                continue;
+            }
+
+            if (/[0-9]/.test(ch) || (ch === '.' && /[0-9]/.test(source[i + 1] || ''))) {
+                const match = /^(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?/.exec(source.slice(i));
+                tokens.push({ type: 'number', value: parseFloat(match[0]), position: i });
+                i += match[0].length;
+                continue;
+            }
+
+            if (ch === '"' || ch === "'") {
+                let value = '';
+                let j = i + 1;
+                while (j < source.length && source[j] !== ch) {
+                    if (source[j] === '\\' && j + 1 < source.length) {
+                        const escaped = source[j + 1];
+                        value += { n: '\n', t: '\t', r: '\r' }[escaped] || escaped;
+                        j += 2;
+                    } else {
+                        value += source[j++];
+                    }
+                }
+                if (j >= source.length) {
+                    throw new ExpressionError('Unterminated string', i);
+                }
+                tokens.push({ type: 'string', value, position: i });
+                i = j + 1;
+                continue;
+            }
+
+            if (ch === '/' && expectsOperand()) {
+                let j = i + 1;
+                let inClass = false;
+                while (j < source.length && (source[j] !== '/' || inClass)) {
+                    if (source[j] === '\\') j++;
+                    else if (source[j] === '[') inClass = true;
+                    else if (source[j] === ']') inClass = false;
+                    j++;
+                }
+                if (j >= source.length) {
+                    throw new ExpressionError('Unterminated regular expression', i);
+                }
+                const pattern = source.slice(i + 1, j);
+                const flags = /^[gimsuy]*/.exec(source.slice(j + 1))[0];
+                try {
+                    tokens.push({ type: 'regex', value: new RegExp(pattern, flags), position: i });
+                } catch (error) {
+                    throw new ExpressionError(`Invalid regular expression: ${error.message}`, i);
+                }
+                i = j + 1 + flags.length;
+                continue;
+            }
+
+            if (/[A-Za-z_$]/.test(ch)) {
+                const match = /^[A-Za-z_$][A-Za-z0-9_$]*/.exec(source.slice(i));
+                tokens.push({ type: 'word', value: match[0], position: i });
+                i += match[0].length;
+                continue;
+            }
+
+            const op = OPERATORS.find(candidate => source.startsWith(candidate, i));
+            if (op) {
+                tokens.push({ type: 'op', value: op, position: i });
+                i += op.length;
+                continue;
+            }
+
+            throw new ExpressionError(`Unexpected character "${ch}"`, i);
+        }
+
+        tokens.push({ type: 'end', position: source.length });
+        return tokens;
+    }
+
+    // Recursive-descent parser producing a small AST
+    function parse(source) {
+        if (typeof source !== 'string' || source.trim() === '') {
+            throw new ExpressionError('Expression is empty');
+        }
+
+        const tokens = tokenize(source);
+        let index = 0;
+
+        const peek = () => tokens[index];
+        const next = () => tokens[index++];
+        const isOp = (value) => peek().type === 'op' && peek().value === value;
+        const isWord = (value) => peek().type === 'word' && peek().value === value;
+        const expectOp = (value) => {
+            const token = next();
+            if (token.type !== 'op' || token.value !== value) {
+                throw new ExpressionError(`Expected "${value}"`, token.position);
+            }
+        };
+
+        function parseOr() {
+            let left = parseAnd();
+            while (isOp('||') || isWord('or')) {
+                next();
+                left = { type: 'logical', operator: '||', left, right: parseAnd() };
+            }
+            return left;
+        }
+
+        function parseAnd() {
+            let left = parseNot();
+            while (isOp('&&') || isWord('and')) {
+                next();
+                left = { type: 'logical', operator: '&&', left, right: parseNot() };
+            }
+            return left;
+        }
+
+        function parseNot() {
+            if (isOp('!') || isWord('not')) {
+                next();
+                return { type: 'not', argument: parseNot() };
+            }
+            return parseComparison();
+        }
+
+        function parseComparison() {
+            const left = parseAdditive();
+            const token = peek();
+            const comparisons = ['===', '!==', '==', '!=', '<', '<=', '>', '>=', '=~'];
+            if (token.type === 'op' && comparisons.includes(token.value)) {
+                next();
+                return { type: 'binary', operator: token.value, left, right: parseAdditive() };
+            }
+            if (token.type === 'word' && (token.value === 'in' || token.value === 'matches')) {
+                next();
+                const operator = token.value === 'in' ? 'in' : '=~';
+                return { type: 'binary', operator, left, right: parseAdditive() };
+            }
+            return left;
+        }
+
+        function parseAdditive() {
+            let left = parseMultiplicative();
+            while (isOp('+') || isOp('-')) {
+                const operator = next().value;
+                left = { type: 'binary', operator, left, right: parseMultiplicative() };
+            }
+            return left;
+        }
+
+        function parseMultiplicative() {
+            let left = parseUnary();
+            while (isOp('*') || isOp('/') || isOp('%')) {
+                const operator = next().value;
+                left = { type: 'binary', operator, left, right: parseUnary() };
+            }
+            return left;
+        }
+
+        function parseUnary() {
+            if (isOp('-')) {
+                next();
+                return { type: 'negate', argument: parseUnary() };
+            }
+            return parsePostfix(parsePrimary());
+        }
+
+        function parsePrimary() {
+            const token = next();
+
+            switch (token.type) {
+                case 'number':
+                case 'string':
+                case 'regex':
+                    return { type: 'literal', value: token.value };
+                case 'word':
+                    if (Object.prototype.hasOwnProperty.call(KEYWORDS, token.value)) {
+                        return { type: 'literal', value: KEYWORDS[token.value] };
+                    }
+                    if (['in', 'and', 'or', 'not', 'matches'].includes(token.value)) {
+                        throw new ExpressionError(`Unexpected "${token.value}"`, token.position);
+                    }
+                    return { type: 'identifier', name: token.value };
+                case 'op':
+                    if (token.value === '(') {
+                        const inner = parseOr();
+                        expectOp(')');
+                        return inner;
+                    }
+                    if (token.value === '[') {
+                        const elements = [];
+                        if (!isOp(']')) {
+                            do {
+                                elements.push(parseOr());
+                            } while (isOp(',') && next());
+                        }
+                        expectOp(']');
+                        return { type: 'array', elements };
+                    }
+                    throw new ExpressionError(`Unexpected "${token.value}"`, token.position);
+                default:
+                    throw new ExpressionError('Unexpected end of expression', token.position);
+            }
+        }
+
+        function parsePostfix(object) {
+            while (isOp('.') || isOp('[')) {
+                if (next().value === '.') {
+                    const token = next();
+                    if (token.type !== 'word') {
+                        throw new ExpressionError('Expected property name', token.position);
+                    }
+                    object = { type: 'member', object, property: { type: 'literal', value: token.value } };
+                } else {
+                    const property = parseOr();
+                    expectOp(']');
+                    object = { type: 'member', object, property };
+                }
+            }
+            return object;
+        }
+
+        const ast = parseOr();
+        if (peek().type !== 'end') {
+            throw new ExpressionError(`Unexpected "${peek().value}"`, peek().position);
+        }
+        return ast;
+    }
+
+    function readProperty(object, key) {
+        if (object === null || object === undefined) return undefined;
+        if (BLOCKED_PROPERTIES.includes(String(key))) {
+            throw new ExpressionError(`Access to "${key}" is not allowed`);
+        }
+        if (typeof object === 'string' || Array.isArray(object)) {
+            return key === 'length' || /^\d+$/.test(String(key)) ? object[key] : undefined;
+        }
+        if (typeof object === 'object' && Object.prototype.hasOwnProperty.call(object, key)) {
+            return object[key];
+        }
+        return undefined;
+    }
+
+    function contains(collection, item) {
+        if (Array.isArray(collection)) return collection.includes(item);
+        if (typeof collection === 'string') return collection.includes(String(item));
+        if (collection !== null && typeof collection === 'object') {
+            return Object.prototype.hasOwnProperty.call(collection, item);
+        }
+        return false;
+    }
+
+    function matches(value, pattern) {
+        if (value === null || value === undefined) return false;
+        const regex = pattern instanceof RegExp ? pattern : new RegExp(String(pattern));
+        regex.lastIndex = 0;
+        return regex.test(String(value));
+    }
+
+    function evaluateNode(node, scope) {
+        switch (node.type) {
+            case 'literal':
+                return node.value;
+            case 'array':
+                return node.elements.map(element => evaluateNode(element, scope));
+            case 'identifier':
+                return readProperty(scope, node.name);
+            case 'member':
+                return readProperty(evaluateNode(node.object, scope), evaluateNode(node.property, scope));
+            case 'not':
+                return !evaluateNode(node.argument, scope);
+            case 'negate':
+                return -evaluateNode(node.argument, scope);
+            case 'logical': {
+                const left = evaluateNode(node.left, scope);
+                if (node.operator === '&&') return left ? evaluateNode(node.right, scope) : left;
+                return left ? left : evaluateNode(node.right, scope);
+            }
+            case 'binary': {
+                const left = evaluateNode(node.left, scope);
+                const right = evaluateNode(node.right, scope);
+                switch (node.operator) {
+                    case '===': return left === right;
+                    case '!==': return left !== right;
+                    case '==': return left == right;
+                    case '!=': return left != right;
+                    case '<': return left < right;
+                    case '<=': return left <= right;
+                    case '>': return left > right;
+                    case '>=': return left >= right;
+                    case '+': return left + right;
+                    case '-': return left - right;
+                    case '*': return left * right;
+                    case '/': return left / right;
+                    case '%': return left % right;
+                    case 'in': return contains(right, left);
+                    case '=~': return matches(left, right);
+                }
+            }
+        }
+        throw new ExpressionError(`Unknown expression node "${node.type}"`);
+    }
+
+    // Split a property path such as "payload.items[0].name" into keys
+    function parsePath(path) {
+        if (Array.isArray(path)) return path;
+        const keys = [];
+        const pattern = /([^.[\]]+)|\[(\d+)\]|\[["']([^"']*)["']\]/g;
+        let match;
+        while ((match = pattern.exec(String(path))) !== null) {
+            keys.push(match[1] !== undefined ? match[1] : match[2] !== undefined ? parseInt(match[2]) : match[3]);
+        }
+        keys.forEach(key => {
+            if (BLOCKED_PROPERTIES.includes(String(key))) {
+                throw new ExpressionError(`Access to "${key}" is not allowed`);
+            }
+        });
+        return keys;
+    }
+
+    function getPath(object, path) {
+        return parsePath(path).reduce((current, key) => readProperty(current, key), object);
+    }
+
+    function setPath(object, path, value) {
+        const keys = parsePath(path);
+        if (keys.length === 0) return;
+        let current = object;
+        keys.slice(0, -1).forEach((key, i) => {
+            if (current[key] === null || typeof current[key] !== 'object') {
+                current[key] = typeof keys[i + 1] === 'number' ? [] : {};
+            }
+            current = current[key];
+        });
+        current[keys[keys.length - 1]] = value;
+    }
+
+    function deletePath(object, path) {
+        const keys = parsePath(path);
+        if (keys.length === 0) return false;
+        const parent = getPath(object, keys.slice(0, -1));
+        if (parent === null || typeof parent !== 'object') return false;
+        const key = keys[keys.length - 1];
+        if (Array.isArray(parent) && typeof key === 'number') {
+            parent.splice(key, 1);
+        } else {
+            delete parent[key];
+        }
+        return true;
+    }
+
+    return {
+        parse,
+        evaluate(expression, scope) {
+            const ast = typeof expression === 'string' ? parse(expression) : expression;
+            return evaluateNode(ast, scope || {});
+        },
+        // Returns the parse error message for `source`, or null if it is valid
+        validate(source) {
+            try {
+                parse(source);
+                return null;
+            } catch (error) {
+                return error.message;
+            }
+        },
+        parsePath,
+        getPath,
+        setPath,
+        deletePath
+    };
+})();
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { Expression, ExpressionError };
+}
@@ -0,0 +1,164 @@
+// File writers used by Output nodes with the "file" target. A writer implements
+//   write(filename, { text, header, append, rotate, maxSize }) -> Promise
+// text is added to the file, or replaces it when append is false; header (e.g. a CSV header
+// row) is written first whenever the file starts out empty. rotate ('none', 'size' or 'daily')
+// and maxSize (bytes) are honoured where files live on disk; in the browser only a size
+// rotation applies, to the files gathered in memory.
+
+// Name of the file a rotated file is moved to: "results.csv" becomes "results.<stamp>.csv"
+function rotatedName(filePath, stamp, exists) {
+    const slash = Math.max(filePath.lastIndexOf('/'), filePath.lastIndexOf('\\'));
+    const dot = filePath.lastIndexOf('.');
+    const extension = dot > slash + 1 ? filePath.slice(dot) : '';
+    const base = filePath.slice(0, filePath.length - extension.length);
+
+    let candidate = `${base}.${stamp}${extension}`;
+    for (let i = 1; exists(candidate); i++) {
+        candidate = `${base}.${stamp}-${i}${extension}`;
+    }
+    return candidate;
+}
+
+// Writes to disk under Node.js. Relative filenames are resolved against `directory`
+// (default: the working directory) and missing folders are created.
+class NodeFileWriter {
+    constructor(options = {}) {
+        this.directory = options.directory || process.cwd();
+    }
+
+    resolve(filename) {
+        return require('path').resolve(this.directory, filename);
+    }
+
+    write(filename, entry) {
+        const fs = require('fs');
+        const filePath = this.resolve(filename);
+        const header = entry.header || '';
+
+        try {
+            fs.mkdirSync(require('path').dirname(filePath), { recursive: true });
+            const existing = fs.existsSync(filePath) ? fs.statSync(filePath) : null;
+            const rotated = entry.append !== false && existing && this.rotate(filePath, existing, entry);
+
+            if (entry.append === false || !existing || rotated) {
+                fs.writeFileSync(filePath, header + entry.text);
+            } else {
+                fs.appendFileSync(filePath, (existing.size === 0 ? header : '') + entry.text);
+            }
+            return Promise.resolve();
+        } catch (error) {
+            return Promise.reject(new Error(`Cannot write ${filePath}: ${error.message}`));
+        }
+    }
+
+    // Move the current file aside when it is from an earlier day (UTC), or when the new text
+    // would take it past maxSize; returns true if it was moved
+    rotate(filePath, existing, entry) {
+        const fs = require('fs');
+        let stamp = null;
+
+        if (entry.rotate === 'daily') {
+            const fileDate = existing.mtime.toISOString().slice(0, 10);
+            if (fileDate !== new Date().toISOString().slice(0, 10)) stamp = fileDate;
+        } else if (entry.rotate === 'size' && entry.maxSize > 0 && existing.size > 0) {
+            if (existing.size + Buffer.byteLength(entry.text) > entry.maxSize) {
+                stamp = new Date().toISOString().slice(0, 19).replace(/:/g, '-');
+            }
+        }
+        if (!stamp) return false;
+
+        fs.renameSync(filePath, rotatedName(filePath, stamp, candidate => fs.existsSync(candidate)));
+        return true;
+    }
+}
+
+// Gathers files in memory in the browser. Pages can't write to disk unprompted, so save()
+// (called from a click) asks where to store a file with the File System Access API and keeps
+// writing later output there; without that API it downloads what has been gathered so far.
+// Once a file is saved its output goes only to disk. Until then a size rotation starts the
+// gathered file over, as there is nowhere to move the old one.
+class BrowserFileWriter {
+    constructor() {
+        // filename -> { name, content, size, handle, writing }; content is empty once saved
+        this.files = new Map();
+    }
+
+    write(filename, entry) {
+        let file = this.files.get(filename);
+        if (!file) {
+            file = { name: filename, content: '', size: 0, handle: null, writing: Promise.resolve() };
+            this.files.set(filename, file);
+        }
+
+        let append = entry.append !== false;
+        if (append && !file.handle && entry.rotate === 'size' && entry.maxSize > 0 && file.size > 0 &&
+            file.size + new Blob([entry.text]).size > entry.maxSize) {
+            append = false;
+        }
+        const text = (!append || file.size === 0 ? entry.header || '' : '') + entry.text;
+        const size = new Blob([text]).size;
+        file.size = append ? file.size + size : size;
+
+        if (!file.handle) {
+            file.content = append ? file.content + text : text;
+            return Promise.resolve();
+        }
+        return this.writeHandle(file, text, append);
+    }
+
+    // Writes to a picked file one after another, so appends keep their order
+    writeHandle(file, text, append) {
+        const write = () => file.handle.getFile().then(existing => file.handle.createWritable({ keepExistingData: append }).then(writable => {
+            const position = append ? existing.size : 0;
+            return writable.seek(position).then(() => writable.write(text)).then(() => writable.close());
+        }));
+        file.writing = file.writing.then(write, write);
+        return file.writing;
+    }
+
+    // Gathered files as [{ name, size, saved }], saved meaning later output goes straight to disk
+    list() {
+        return Array.from(this.files.values()).map(file => ({
+            name: file.name,
+            size: file.size,
+            saved: !!file.handle
+        }));
+    }
+
+    // Resolves to 'saved' or 'downloaded'; rejects with an AbortError if the user cancels
+    save(filename) {
+        const file = this.files.get(filename);
+        if (!file) {
+            return Promise.reject(new Error(`Nothing has been written to ${filename} yet`));
+        }
+        const suggestedName = filename.split(/[\\/]/).pop();
+
+        if (typeof window.showSaveFilePicker !== 'function') {
+            const url = URL.createObjectURL(new Blob([file.content], { type: 'text/plain' }));
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = suggestedName;
+            document.body.appendChild(link);
+            link.click();
+            document.body.removeChild(link);
+            URL.revokeObjectURL(url);
+            return Promise.resolve('downloaded');
+        }
+
+        // Save As on a saved file copies what is on disk, after the writes still under way
+        const read = () => file.handle.getFile().then(existing => existing.text());
+        return window.showSaveFilePicker({ suggestedName }).then(handle => {
+            const content = file.handle ? file.writing.then(read, read) : Promise.resolve(file.content);
+            return content.then(text => {
+                file.handle = handle;
+                file.content = '';
+                return this.writeHandle(file, text, false);
+            });
+        }).then(() => 'saved');
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { NodeFileWriter, BrowserFileWriter };
+}
@@ -12,6 +12,8 @@ class FlowEditor {
         this.links = new Map();
         this.selectedNode = null;
         this.selectedLink = null;
+        // Nodes picked with shift+click, e.g. to package as a subflow
+        this.multiSelection = new Set();
         this.isDragging = false;
         this.isConnecting = false;
         this.nodeCounter = 0;
@@ -26,8 +28,49 @@ class FlowEditor {
         this.connectionStart = null;
         this.tempLine = null;
         
+        // Flow tabs - every node belongs to exactly one
+        this.flows = new Map();
+        this.activeFlowId = null;
+        this.flowCounter = 0;
+        // Subflow definitions are tabs too, numbered separately
+        this.subflowCounter = 0;
+        
+        // Stand-ins that show the debug and display output of nodes inside subflow instances,
+        // keyed by the runtime copy's ID ("<instance>/<node>")
+        this.subflowViews = new Map();
+        
+        // Edits made since the last deploy
+        this.changedNodes = new Set();
+        this.changedFlows = new Set();
+        
+        // Node, flow and global context, kept in the storage backend the user picked
+        this.contextStore = new ContextStore({ backend: this.createContextBackend(this.getContextBackendName()) });
+        this.contextRefreshTimer = null;
+        this.contextStore.onChange(() => this.scheduleContextRefresh());
+        this.contextStore.load().catch(error => {
+            console.error('❌ Failed to load context:', error);
+            this.notify(`Failed to load context: ${error.message}`, 'error');
+        });
+        
+        // Queue counters waiting to be redrawn
+        this.queueRenderNodes = new Set();
+        this.queueRenderTimer = null;
+        
+        // Records stored by Output nodes' database target, kept in IndexedDB between sessions
+        this.dataStore = new DataStore({ backend: typeof indexedDB !== 'undefined' ? new IndexedDBDataBackend() : new MemoryDataBackend() });
+        this.dataStore.load().catch(error => {
+            console.error('❌ Failed to load stored data:', error);
+            this.notify(`Failed to load stored data: ${error.message}`, 'error');
+        });
+        
+        // Deploy hands a snapshot of the canvas to the DOM-free runtime
+        this.runtime = new FlowRuntime({ contextStore: this.contextStore, dataStore: this.dataStore });
+        this.bindRuntimeEvents();
+        
         this.initializeEventListeners();
         this.setupPalette();
+        this.setupFlowTabs();
+        this.setupSidebarTabs();
     }
 
     initializeEventListeners() {
@@ -46,11 +89,7 @@ class FlowEditor {
 
     setupPalette() {
         const paletteNodes = document.querySelectorAll('.palette-node');
-        paletteNodes.forEach(node => {
-            node.addEventListener('dragstart', this.onPaletteDragStart.bind(this));
-            node.addEventListener('click', this.onPaletteClick.bind(this));
-            node.draggable = true;
-        });
+        paletteNodes.forEach(node => this.bindPaletteNode(node));
 
         // Canvas drop zone
         this.svg.addEventListener('dragover', e => {
@@ -60,6 +99,28 @@ class FlowEditor {
         this.svg.addEventListener('drop', this.onCanvasDrop.bind(this));
     }
 
+    bindPaletteNode(element) {
+        element.addEventListener('dragstart', this.onPaletteDragStart.bind(this));
+        element.addEventListener('click', this.onPaletteClick.bind(this));
+        element.draggable = true;
+    }
+
+    // One palette entry per subflow, after the Subflow Input and Output nodes
+    renderSubflowPalette() {
+        const palette = document.getElementById('subflow-palette');
+        if (!palette) return;
+        
+        palette.querySelectorAll('.palette-subflow').forEach(element => element.remove());
+        this.getSubflows().forEach(flow => {
+            const element = document.createElement('div');
+            element.className = 'palette-node palette-subflow';
+            element.dataset.nodeType = `subflow:${flow.id}`;
+            element.innerHTML = `<i class="node-icon">🧩</i><span>${this.escapeHtml(flow.label)}</span>`;
+            this.bindPaletteNode(element);
+            palette.appendChild(element);
+        });
+    }
+
     onPaletteDragStart(e) {
         const nodeType = e.target.closest('.palette-node').dataset.nodeType;
         e.dataTransfer.setData('text/plain', nodeType);
@@ -82,23 +143,34 @@ class FlowEditor {
         }
     }
 
-    createNode(type, x, y, config = {}) {
-        const nodeId = `node_${++this.nodeCounter}`;
+    // options: id and flow, used when restoring a saved flow
+    createNode(type, x, y, config = {}, options = {}) {
         const nodeType = NODE_TYPES[type];
         if (!nodeType) return null;
+        
+        const flowId = options.flow || this.activeFlowId;
+        if (nodeType.subflow && this.isSubflow(flowId)) {
+            this.notify('Subflows can\'t contain other subflows', 'warning');
+            return null;
+        }
+        
+        const nodeId = options.id || `node_${++this.nodeCounter}`;
+        this.nodeCounter = Math.max(this.nodeCounter, this.getIdNumber(nodeId, 'node'));
 
         const nodeConfig = { ...nodeType.defaults, ...config };
+        const outputs = FlowRuntime.getOutputCount(type, nodeConfig);
         
         const node = {
             id: nodeId,
             type: type,
+            flow: flowId,
             x: x,
             y: y,
             width: 120,
-            height: 40,
+            height: this.getNodeHeight(nodeType.inputs, outputs),
             config: nodeConfig,
             inputs: nodeType.inputs,
-            outputs: nodeType.outputs,
+            outputs: outputs,
             element: null
         };
 
@@ -137,6 +209,11 @@ class FlowEditor {
             nodeGroup.appendChild(port);
         }
 
+        // Link nodes have no wire to follow, so they get a button that jumps to their partners
+        if (node.type === 'linkIn' || node.type === 'linkOut') {
+            nodeGroup.appendChild(this.createLinkJumpButton(node));
+        }
+
         // Event listeners
         nodeGroup.addEventListener('mousedown', this.onNodeMouseDown.bind(this));
         nodeGroup.addEventListener('dblclick', this.onNodeDoubleClick.bind(this));
@@ -144,10 +221,23 @@ class FlowEditor {
         this.nodesLayer.appendChild(nodeGroup);
         node.element = nodeGroup;
         this.nodes.set(nodeId, node);
+        this.updateInjectButton(node);
+        this.validateNodeConfig(node);
+        this.markNodeChanged(node);
+        
+        if (node.flow !== this.activeFlowId) {
+            nodeGroup.style.display = 'none';
+        }
 
         return node;
     }
 
+    // Numeric suffix of an ID such as "node_12", or 0 for IDs in another format
+    getIdNumber(id, prefix) {
+        const match = new RegExp(`^${prefix}_(\\d+)$`).exec(String(id));
+        return match ? parseInt(match[1]) : 0;
+    }
+
     createPort(type, index, node) {
         const port = document.createElementNS('http://www.w3.org/2000/svg', 'circle');
         port.setAttribute('class', `node-port port-${type}`);
@@ -168,6 +258,156 @@ class FlowEditor {
         return port;
     }
 
+    // Source nodes, and subflows with source nodes inside, get a button that injects on demand
+    canInject(node) {
+        const nodeType = NODE_TYPES[node.type];
+        if (nodeType.subflow) {
+            return this.getFlowNodes(nodeType.subflow).some(member => NODE_TYPES[member.type].category === 'input');
+        }
+        return nodeType.category === 'input';
+    }
+
+    updateInjectButton(node) {
+        const button = node.element.querySelector('.node-inject-btn');
+        if (button) button.remove();
+        if (this.canInject(node)) {
+            node.element.appendChild(this.createInjectButton(node));
+        }
+    }
+
+    // Left of the node, moved up clear of the input ports if it has any (e.g. a subflow instance)
+    injectButtonTransform(node) {
+        const y = node.inputs > 0 ? node.height / 2 - (node.inputs - 1) / 2 * 15 - 30 : node.height / 2 - 10;
+        return `translate(-22, ${y})`;
+    }
+
+    createInjectButton(node) {
+        const buttonGroup = document.createElementNS('http://www.w3.org/2000/svg', 'g');
+        buttonGroup.setAttribute('class', 'node-inject-btn');
+        buttonGroup.setAttribute('transform', this.injectButtonTransform(node));
+        
+        const rect = document.createElementNS('http://www.w3.org/2000/svg', 'rect');
+        rect.setAttribute('width', '18');
+        rect.setAttribute('height', '20');
+        rect.setAttribute('rx', '3');
+        
+        const text = document.createElementNS('http://www.w3.org/2000/svg', 'text');
+        text.setAttribute('x', '9');
+        text.setAttribute('y', '10');
+        text.textContent = '▶';
+        
+        const title = document.createElementNS('http://www.w3.org/2000/svg', 'title');
+        title.textContent = 'Inject';
+        
+        buttonGroup.appendChild(rect);
+        buttonGroup.appendChild(text);
+        buttonGroup.appendChild(title);
+        
+        // Keep the click from selecting or dragging the node
+        buttonGroup.addEventListener('mousedown', e => e.stopPropagation());
+        buttonGroup.addEventListener('dblclick', e => e.stopPropagation());
+        buttonGroup.addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.executeNode(node);
+        });
+        
+        return buttonGroup;
+    }
+
+    createLinkJumpButton(node) {
+        const buttonGroup = document.createElementNS('http://www.w3.org/2000/svg', 'g');
+        buttonGroup.setAttribute('class', 'node-link-btn');
+        // On the side without a port
+        const x = node.type === 'linkOut' ? node.width + 4 : -22;
+        buttonGroup.setAttribute('transform', `translate(${x}, ${node.height / 2 - 10})`);
+        
+        const rect = document.createElementNS('http://www.w3.org/2000/svg', 'rect');
+        rect.setAttribute('width', '18');
+        rect.setAttribute('height', '20');
+        rect.setAttribute('rx', '3');
+        
+        const text = document.createElementNS('http://www.w3.org/2000/svg', 'text');
+        text.setAttribute('x', '9');
+        text.setAttribute('y', '10');
+        text.textContent = '⇢';
+        
+        const title = document.createElementNS('http://www.w3.org/2000/svg', 'title');
+        title.textContent = 'Go to linked nodes';
+        
+        buttonGroup.appendChild(rect);
+        buttonGroup.appendChild(text);
+        buttonGroup.appendChild(title);
+        
+        buttonGroup.addEventListener('mousedown', e => e.stopPropagation());
+        buttonGroup.addEventListener('dblclick', e => e.stopPropagation());
+        buttonGroup.addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.revealLinkPartners(node);
+        });
+        
+        return buttonGroup;
+    }
+
+    // Wires on later outputs move up a port, so they stay with their Switch rule
+    removeOutputPort(node, port) {
+        Array.from(this.links.values()).forEach(link => {
+            if (link.source !== node.id) return;
+            if (link.sourcePort === port) {
+                this.deleteLink(link.id);
+            } else if (link.sourcePort > port) {
+                link.sourcePort--;
+            }
+        });
+    }
+
+    getNodeHeight(inputs, outputs) {
+        return Math.max(40, Math.max(inputs, outputs) * 15 + 10);
+    }
+
+    // Match the ports to the node's type and config, e.g. after its outputs setting or its subflow changed
+    updateNodePorts(node) {
+        const inputs = NODE_TYPES[node.type].inputs;
+        const outputs = FlowRuntime.getOutputCount(node.type, node.config);
+        if (inputs === node.inputs && outputs === node.outputs) return;
+
+        node.inputs = inputs;
+        node.outputs = outputs;
+        node.height = this.getNodeHeight(inputs, outputs);
+        node.element.querySelector('.node-body').setAttribute('height', node.height);
+        node.element.querySelector('.node-text').setAttribute('y', node.height / 2);
+        const breakpointMarker = node.element.querySelector('.node-breakpoint-marker');
+        if (breakpointMarker) breakpointMarker.setAttribute('y', node.height - 12);
+        const statusGroup = node.element.querySelector('.node-status');
+        if (statusGroup) statusGroup.setAttribute('transform', `translate(0, ${node.height + 4})`);
+        const injectButton = node.element.querySelector('.node-inject-btn');
+        if (injectButton) injectButton.setAttribute('transform', this.injectButtonTransform(node));
+
+        // Rebuild all ports so they are spaced for the new height
+        node.element.querySelectorAll('.node-port').forEach(port => port.remove());
+        for (let i = 0; i < node.inputs; i++) {
+            node.element.appendChild(this.createPort('input', i, node));
+        }
+        for (let i = 0; i < node.outputs; i++) {
+            node.element.appendChild(this.createPort('output', i, node));
+        }
+
+        // Drop links from ports that no longer exist
+        const staleLinks = [];
+        this.links.forEach((link, linkId) => {
+            if ((link.source === node.id && link.sourcePort >= outputs) ||
+                (link.target === node.id && link.targetPort >= inputs)) {
+                staleLinks.push(linkId);
+            }
+        });
+        staleLinks.forEach(linkId => this.deleteLink(linkId));
+
+        this.links.forEach(link => {
+            if (link.source === node.id || link.target === node.id) {
+                this.updateConnectionPath(link, link.element);
+            }
+        });
+    }
+
     onNodeMouseDown(e) {
         e.stopPropagation();
         e.preventDefault(); // Prevent any default behavior
@@ -178,6 +418,12 @@ class FlowEditor {
         
         if (!node) return;
 
+        // Shift+click adds the node to, or takes it out of, a multiple selection
+        if (e.shiftKey) {
+            this.toggleMultiSelection(node);
+            return;
+        }
+
         this.selectNode(node);
         
         // Store the current node position and mouse position
@@ -256,12 +502,13 @@ class FlowEditor {
                 const targetPortIndex = parseInt(target.dataset.portIndex);
 
                 if (targetNode && targetNode !== this.connectionStart.node) {
-                    this.createConnection(
+                    const link = this.createConnection(
                         this.connectionStart.node,
                         this.connectionStart.port,
                         targetNode,
                         targetPortIndex
                     );
+                    this.warnIfLoop(link);
                 }
             }
 
@@ -272,8 +519,9 @@ class FlowEditor {
         document.removeEventListener('mouseup', this.onConnectionMouseUp.bind(this));
     }
 
-    createConnection(sourceNode, sourcePort, targetNode, targetPort) {
-        const linkId = `link_${++this.linkCounter}`;
+    createConnection(sourceNode, sourcePort, targetNode, targetPort, options = {}) {
+        const linkId = options.id || `link_${++this.linkCounter}`;
+        this.linkCounter = Math.max(this.linkCounter, this.getIdNumber(linkId, 'link'));
         
         const link = {
             id: linkId,
@@ -298,10 +546,127 @@ class FlowEditor {
         this.linksLayer.appendChild(path);
         link.element = path;
         this.links.set(linkId, link);
+        
+        // Wires belong to the node they leave from
+        this.markNodeChanged(sourceNode);
+        if (sourceNode.flow !== this.activeFlowId) {
+            path.style.display = 'none';
+        }
 
         return link;
     }
 
+    // Loops are allowed (e.g. retries), but a wire that closes one is worth a warning. link
+    // is { source, target }: a wire or a Link Out -> Link In pairing.
+    warnIfLoop(link) {
+        const loop = this.findLoop(link);
+        if (!loop) return;
+        
+        const names = loop.map(nodeId => {
+            const node = this.nodes.get(nodeId);
+            return node.config.name || NODE_TYPES[node.type].name;
+        });
+        const maxHops = this.runtime.getFlowSettings({ flow: this.activeFlowId }).maxHops;
+        console.warn(`🔁 Wire closes a loop: ${names.join(' → ')}`);
+        this.notify(`This connection creates a loop (${names.join(' → ')}). Messages going round it are stopped after ${maxHops} hops.`, 'warning');
+        this.highlightLoop(loop);
+    }
+
+    // Node IDs of a path that leads from the link's target back to its source, starting and
+    // ending with the source, or null if the link doesn't close a loop
+    findLoop(link) {
+        const previous = new Map([[link.target, null]]);
+        const pending = [link.target];
+        while (pending.length > 0) {
+            const nodeId = pending.shift();
+            if (nodeId === link.source) {
+                const path = [];
+                for (let step = nodeId; step !== null; step = previous.get(step)) {
+                    path.unshift(step);
+                }
+                return [link.source, ...path];
+            }
+            this.getNextNodeIds(nodeId).forEach(nextId => {
+                if (!previous.has(nextId)) {
+                    previous.set(nextId, nodeId);
+                    pending.push(nextId);
+                }
+            });
+        }
+        return null;
+    }
+
+    // Nodes a node sends to, through wires or Link Out -> Link In pairings
+    getNextNodeIds(nodeId) {
+        const nextIds = [];
+        this.links.forEach(link => {
+            if (link.source === nodeId) nextIds.push(link.target);
+        });
+        const node = this.nodes.get(nodeId);
+        if (node && node.type === 'linkOut') {
+            this.getLinkPartners(node).forEach(partner => nextIds.push(partner.id));
+        }
+        return nextIds;
+    }
+
+    // The Link In nodes a Link Out sends to, or the Link Out nodes that send to a Link In
+    getLinkPartners(node) {
+        if (node.type === 'linkOut') {
+            return (node.config.links || [])
+                .map(partnerId => this.nodes.get(partnerId))
+                .filter(partner => partner && partner.type === 'linkIn');
+        }
+        if (node.type === 'linkIn') {
+            return Array.from(this.nodes.values()).filter(partner =>
+                partner.type === 'linkOut' && (partner.config.links || []).includes(node.id)
+            );
+        }
+        return [];
+    }
+
+    // Switch to the tab of a link node's partners, centre them and highlight them
+    revealLinkPartners(node) {
+        const partners = this.getLinkPartners(node);
+        if (partners.length === 0) {
+            this.notify(`"${node.config.name || NODE_TYPES[node.type].name}" is not linked to any node`, 'warning');
+            return;
+        }
+        
+        // Partners can be spread over several tabs; go to the first one's
+        const flowId = partners[0].flow;
+        const visible = partners.filter(partner => partner.flow === flowId);
+        if (flowId !== this.activeFlowId) {
+            this.switchFlow(flowId);
+        }
+        
+        const left = Math.min(...visible.map(partner => partner.x));
+        const right = Math.max(...visible.map(partner => partner.x + partner.width));
+        const top = Math.min(...visible.map(partner => partner.y));
+        const bottom = Math.max(...visible.map(partner => partner.y + partner.height));
+        this.panOffset = {
+            x: this.svg.clientWidth / 2 - ((left + right) / 2) * this.scale,
+            y: this.svg.clientHeight / 2 - ((top + bottom) / 2) * this.scale
+        };
+        this.updateTransform();
+        
+        if (visible.length === 1) {
+            this.selectNode(visible[0]);
+        }
+        visible.forEach(partner => {
+            partner.element.classList.add('node-link-reveal');
+            setTimeout(() => partner.element.classList.remove('node-link-reveal'), 1500);
+        });
+    }
+
+    highlightLoop(nodeIds) {
+        nodeIds.forEach(nodeId => {
+            const node = this.nodes.get(nodeId);
+            if (!node || !node.element) return;
+            node.element.classList.add('node-in-loop');
+            setTimeout(() => node.element.classList.remove('node-in-loop'), 3000);
+        });
+    }
+
     updateConnectionPath(link, pathElement) {
         const sourceNode = this.nodes.get(link.source);
         const targetNode = this.nodes.get(link.target);
@@ -424,29 +789,75 @@ class FlowEditor {
         this.clearSelection();
         this.selectedNode = node;
         node.element.classList.add('selected');
+        this.getLinkPartners(node).forEach(partner => partner.element.classList.add('node-link-partner'));
         this.updatePropertiesPanel(node);
+        this.scheduleContextRefresh();
+    }
+
+    toggleMultiSelection(node) {
+        const selection = new Set(this.multiSelection);
+        if (this.selectedNode) selection.add(this.selectedNode);
+        if (selection.has(node)) {
+            selection.delete(node);
+        } else {
+            selection.add(node);
+        }
+        
+        this.clearSelection();
+        if (selection.size === 1) {
+            this.selectNode(selection.values().next().value);
+            return;
+        }
+        this.multiSelection = selection;
+        selection.forEach(selected => selected.element.classList.add('selected'));
+        if (selection.size > 0) this.showMultiSelection();
+    }
+
+    showMultiSelection() {
+        const propertiesContent = document.getElementById('properties-content');
+        propertiesContent.innerHTML = `
+            <div class="multi-selection">
+                <p>${this.multiSelection.size} nodes selected</p>
+                <button type="button" class="create-subflow-btn">🧩 Create Subflow</button>
+            </div>
+        `;
+        propertiesContent.querySelector('.create-subflow-btn').addEventListener('click', () => {
+            const label = prompt('Subflow name', `Subflow ${this.getSubflows().length + 1}`);
+            if (label !== null) {
+                this.createSubflowFromSelection(label.trim());
+            }
+        });
+        this.renderPausedPanel();
     }
 
     selectLink(link) {
         this.clearSelection();
         this.selectedLink = link;
         link.element.classList.add('selected');
+        this.updateLinkPanel(link);
     }
 
     clearSelection() {
         if (this.selectedNode) {
             this.selectedNode.element.classList.remove('selected');
+            this.nodesLayer.querySelectorAll('.node-link-partner').forEach(element => element.classList.remove('node-link-partner'));
             this.selectedNode = null;
         }
         if (this.selectedLink) {
             this.selectedLink.element.classList.remove('selected');
             this.selectedLink = null;
         }
+        this.multiSelection.forEach(node => node.element.classList.remove('selected'));
+        this.multiSelection.clear();
         this.showNoSelection();
+        this.scheduleContextRefresh();
     }
 
     deleteSelected() {
-        if (this.selectedNode) {
+        if (this.multiSelection.size > 0) {
+            Array.from(this.multiSelection).forEach(node => this.deleteNode(node.id));
+            this.clearSelection();
+        } else if (this.selectedNode) {
             this.deleteNode(this.selectedNode.id);
         } else if (this.selectedLink) {
             this.deleteLink(this.selectedLink.id);
@@ -466,6 +877,20 @@ class FlowEditor {
         });
         
         linksToDelete.forEach(linkId => this.deleteLink(linkId));
+        
+        // Link Out nodes forget a deleted Link In partner
+        if (node.type === 'linkIn') {
+            this.getLinkPartners(node).forEach(linkOut => {
+                linkOut.config.links = linkOut.config.links.filter(partnerId => partnerId !== nodeId);
+                this.markNodeChanged(linkOut);
+            });
+        }
+
+        this.runtime.setBreakpoint('node', nodeId, false);
+
+        // The deployed copy keeps running until the next deploy removes it
+        this.changedNodes.add(nodeId);
+        this.changedFlows.add(node.flow);
 
         // Remove any data tables associated with this node
         this.removeDataTable(nodeId);
@@ -476,6 +901,15 @@ class FlowEditor {
         // Remove any network graphs associated with this node
         this.removeNetworkGraph(nodeId);
         
+        // And the output of the nodes inside it, for a subflow instance
+        this.subflowViews.forEach((view, viewId) => {
+            if (view.instance !== nodeId) return;
+            this.removeDataTable(viewId);
+            this.removeGraph(viewId);
+            this.removeNetworkGraph(viewId);
+            this.subflowViews.delete(viewId);
+        });
+        
         // Clear any accumulated data
         if (node.accumulatedData) {
             node.accumulatedData = [];
@@ -494,10 +928,16 @@ class FlowEditor {
         // Remove node
         this.nodesLayer.removeChild(node.element);
         this.nodes.delete(nodeId);
+        this.multiSelection.delete(node);
+        
+        if (this.isSubflow(node.flow)) {
+            this.refreshSubflow(node.flow);
+        }
         
         if (this.selectedNode === node) {
             this.clearSelection();
         }
+        this.emitChange();
     }
 
     deleteLink(linkId) {
@@ -506,6 +946,10 @@ class FlowEditor {
 
         this.linksLayer.removeChild(link.element);
         this.links.delete(linkId);
+        this.runtime.setBreakpoint('link', linkId, false);
+        
+        const sourceNode = this.nodes.get(link.source);
+        if (sourceNode) this.markNodeChanged(sourceNode);
         
         if (this.selectedLink === link) {
             this.clearSelection();
@@ -521,6 +965,18 @@ class FlowEditor {
                 this.endConnection();
             }
         }
+        
+        // Debugger keys, ignored while typing in a field
+        if (e.target.closest && e.target.closest('input, textarea, select')) return;
+        if (e.key === 'b' && !e.ctrlKey && !e.metaKey) {
+            this.toggleSelectedBreakpoint();
+        } else if (e.key === 'F8') {
+            e.preventDefault();
+            this.releasePausedMessage(false);
+        } else if (e.key === 'F10') {
+            e.preventDefault();
+            this.releasePausedMessage(true);
+        }
     }
 
     updatePropertiesPanel(node) {
@@ -536,7 +992,23 @@ class FlowEditor {
                 <label class="property-label">Node ID</label>
                 <input type="text" class="property-input" value="${node.id}" readonly>
             </div>
+            <div class="property-group">
+                <label class="property-label">
+                    <input type="checkbox" class="breakpoint-toggle" ${node.breakpoint ? 'checked' : ''}>
+                    Pause when a message arrives
+                </label>
+            </div>
+            <div class="property-error" style="display: ${node.configError ? 'block' : 'none'}">${this.escapeHtml(node.configError || '')}</div>
         `;
+        
+        if (node.errorCount > 0) {
+            html += `
+                <div class="property-group">
+                    <label class="property-label">Errors since deploy: ${node.errorCount}</label>
+                    <div class="execution-error">${this.escapeHtml(node.executionError || 'Recovered after the last error')}</div>
+                </div>
+            `;
+        }
 
         if (nodeType.configFields) {
             nodeType.configFields.forEach(field => {
@@ -546,26 +1018,13 @@ class FlowEditor {
                         <label class="property-label">${field.label}</label>
                 `;
                 
-                if (field.type === 'textarea') {
-                    html += `<textarea class="property-textarea" data-field="${field.name}">${value}</textarea>`;
-                } else if (field.type === 'checkbox') {
-                    html += `<input type="checkbox" data-field="${field.name}" ${value ? 'checked' : ''}>`;
-                } else if (field.type === 'select') {
-                    html += `<select class="property-input" data-field="${field.name}">`;
-                    field.options.forEach(option => {
-                        html += `<option value="${option}" ${value === option ? 'selected' : ''}>${option}</option>`;
-                    });
-                    html += `</select>`;
-                } else {
-                    html += `<input type="${field.type || 'text'}" class="property-input" data-field="${field.name}" value="${value}">`;
-                }
-                
+                html += this.renderConfigField(field, value);
                 html += '</div>';
             });
         }
 
-        // Add debug output panel for debug nodes
-        if (node.type === 'debug' && node.debugOutputs && node.debugOutputs.length > 0) {
+        // Add debug output panel for debug nodes, and subflow instances with debug nodes inside
+        if (node.debugOutputs && node.debugOutputs.length > 0) {
             html += `
                 <div class="property-group">
                     <label class="property-label">Debug Output</label>
@@ -581,7 +1040,7 @@ class FlowEditor {
                 const dataStr = typeof entry.data === 'object' ? JSON.stringify(entry.data, null, 2) : String(entry.data);
                 html += `
                     <div class="debug-entry ${index === 0 ? 'debug-entry-latest' : ''}">
-                        <div class="debug-timestamp">${entry.timestamp}</div>
+                        <div class="debug-timestamp">${entry.timestamp}${entry.source ? ` · ${this.escapeHtml(entry.source)}` : ''}</div>
                         <div class="debug-data">
                             <pre><code>${this.escapeHtml(dataStr)}</code></pre>
                         </div>
@@ -613,17 +1072,42 @@ class FlowEditor {
         // Add event listeners to update node config
         const fields = propertiesContent.querySelectorAll('[data-field]');
         fields.forEach(field => {
-            field.addEventListener('input', (e) => {
-                const fieldName = e.target.dataset.field;
-                const value = e.target.type === 'checkbox' ? e.target.checked : e.target.value;
+            const onFieldChange = (change) => {
+                const fieldName = field.dataset.field;
+                const value = this.readConfigField(field);
+                const previous = node.config[fieldName];
                 node.config[fieldName] = value;
+                this.markNodeChanged(node);
+                
+                // A new Link Out -> Link In pairing is a virtual wire that can close a loop too
+                if (node.type === 'linkOut' && fieldName === 'links') {
+                    value.filter(partnerId => !(previous || []).includes(partnerId))
+                        .forEach(partnerId => this.warnIfLoop({ source: node.id, target: partnerId }));
+                }
                 
                 // Update node label if name changed
                 if (fieldName === 'name') {
                     const textElement = node.element.querySelector('.node-text');
                     textElement.textContent = value || nodeType.name;
                 }
-            });
+                
+                // Outputs and Switch rules set the number of ports
+                if (node.type === 'switch' && change && change.removedRule !== undefined) {
+                    this.removeOutputPort(node, change.removedRule);
+                }
+                this.updateNodePorts(node);
+                
+                // Surface configuration problems while the user types
+                const errorElement = propertiesContent.querySelector('.property-error');
+                const configError = this.validateNodeConfig(node);
+                errorElement.textContent = configError || '';
+                errorElement.style.display = configError ? 'block' : 'none';
+            };
+            
+            field.addEventListener('input', onFieldChange);
+            if (field.classList.contains('rules-editor')) {
+                this.bindRulesEditor(field, onFieldChange);
+            }
         });
 
         // Add event listener for clear debug button
@@ -634,6 +1118,237 @@ class FlowEditor {
                 this.clearDebugOutput(nodeId);
             });
         }
+        
+        propertiesContent.querySelector('.breakpoint-toggle').addEventListener('change', (e) => {
+            this.setBreakpoint('node', node, e.target.checked);
+        });
+        this.renderPausedPanel();
+    }
+
+    updateLinkPanel(link) {
+        const propertiesContent = document.getElementById('properties-content');
+        const describe = (nodeId, port, count) => {
+            const node = this.nodes.get(nodeId);
+            if (!node) return nodeId;
+            const name = node.config.name || NODE_TYPES[node.type].name;
+            return count > 1 ? `${name} (port ${port + 1})` : name;
+        };
+        const sourceNode = this.nodes.get(link.source);
+        const targetNode = this.nodes.get(link.target);
+        
+        propertiesContent.innerHTML = `
+            <div class="property-group">
+                <label class="property-label">From</label>
+                <input type="text" class="property-input" value="${this.escapeHtml(describe(link.source, link.sourcePort, sourceNode ? sourceNode.outputs : 1))}" readonly>
+            </div>
+            <div class="property-group">
+                <label class="property-label">To</label>
+                <input type="text" class="property-input" value="${this.escapeHtml(describe(link.target, link.targetPort, targetNode ? targetNode.inputs : 1))}" readonly>
+            </div>
+            <div class="property-group">
+                <label class="property-label">
+                    <input type="checkbox" class="breakpoint-toggle" ${link.breakpoint ? 'checked' : ''}>
+                    Pause messages on this wire
+                </label>
+            </div>
+        `;
+        
+        propertiesContent.querySelector('.breakpoint-toggle').addEventListener('change', (e) => {
+            this.setBreakpoint('link', link, e.target.checked);
+        });
+        this.renderPausedPanel();
+    }
+
+    renderConfigField(field, value) {
+        if (field.type === 'textarea') {
+            return `<textarea class="property-textarea" data-field="${field.name}">${this.escapeHtml(String(value))}</textarea>`;
+        } else if (field.type === 'checkbox') {
+            return `<input type="checkbox" data-field="${field.name}" ${value ? 'checked' : ''}>`;
+        } else if (field.type === 'select') {
+            let html = `<select class="property-input" data-field="${field.name}">`;
+            field.options.forEach(option => {
+                html += `<option value="${option}" ${value === option ? 'selected' : ''}>${option}</option>`;
+            });
+            return html + `</select>`;
+        } else if (field.type === 'nodes') {
+            return `<div class="node-select" data-field="${field.name}">${this.renderNodeOptions(Array.isArray(value) ? value : [], field)}</div>`;
+        } else if (field.type === 'rules' || field.type === 'switchRules') {
+            const kind = field.type === 'switchRules' ? 'switch' : 'transform';
+            return `
+                <div class="rules-editor" data-field="${field.name}" data-rules="${kind}">
+                    <div class="rule-list">${this.renderRuleRows(Array.isArray(value) ? value : [], kind)}</div>
+                    <button type="button" class="rule-add-btn">+ Add rule</button>
+                </div>
+            `;
+        }
+        const placeholder = field.placeholder !== undefined ? ` placeholder="${this.escapeHtml(String(field.placeholder))}"` : '';
+        return `<input type="${field.type || 'text'}" class="property-input" data-field="${field.name}" value="${this.escapeHtml(String(value))}"${placeholder}>`;
+    }
+
+    readConfigField(element) {
+        if (element.classList.contains('rules-editor')) {
+            return this.readRules(element);
+        }
+        if (element.classList.contains('node-select')) {
+            return Array.from(element.querySelectorAll('input:checked')).map(input => input.value);
+        }
+        return element.type === 'checkbox' ? element.checked : element.value;
+    }
+
+    // Checkbox list of the other nodes on the current tab, or of one node type on every tab
+    // when the field sets nodeType and allFlows
+    renderNodeOptions(selectedIds, field = {}) {
+        const nodes = Array.from(this.nodes.values())
+            .filter(node => field.allFlows || node.flow === this.activeFlowId)
+            .filter(node => field.nodeType ? node.type === field.nodeType : node.type !== 'catch');
+        if (nodes.length === 0) {
+            const empty = field.nodeType ? `No ${NODE_TYPES[field.nodeType].name} nodes` : 'No nodes on this flow';
+            return `<div class="node-select-empty">${empty}</div>`;
+        }
+        
+        return nodes.map(node => {
+            const flow = this.flows.get(node.flow);
+            const place = field.allFlows && flow ? flow.label : node.id;
+            const label = `${node.config.name || NODE_TYPES[node.type].name} (${place})`;
+            return `
+                <label class="node-select-option">
+                    <input type="checkbox" value="${node.id}" ${selectedIds.includes(node.id) ? 'checked' : ''}>
+                    ${this.escapeHtml(label)}
+                </label>
+            `;
+        }).join('');
+    }
+
+    // kind: 'transform' or 'switch'
+    renderRuleRows(rules, kind = 'transform') {
+        if (kind === 'switch') return this.renderSwitchRuleRows(rules);
+        
+        const option = (value, selected, label) =>
+            `<option value="${value}" ${value === selected ? 'selected' : ''}>${label || value}</option>`;
+        const input = (key, value, placeholder) =>
+            `<input type="text" class="property-input rule-input" data-rule-key="${key}" value="${this.escapeHtml(String(value === undefined ? '' : value))}" placeholder="${placeholder}">`;
+        
+        return rules.map((rule, index) => {
+            let html = `
+                <div class="rule-row" data-rule-index="${index}">
+                    <div class="rule-row-header">
+                        <select class="property-input rule-input" data-rule-key="action">
+                            ${TransformRules.ACTIONS.map(action => option(action, rule.action)).join('')}
+                        </select>
+                        <button type="button" class="rule-remove-btn" title="Remove rule">&times;</button>
+                    </div>
+                    ${input('property', rule.property, 'property (default from node)')}
+            `;
+            
+            switch (rule.action) {
+                case 'set':
+                    html += `
+                        <select class="property-input rule-input" data-rule-key="valueType">
+                            ${option('str', rule.valueType, 'string')}
+                            ${option('num', rule.valueType, 'number')}
+                            ${option('bool', rule.valueType, 'boolean')}
+                            ${option('json', rule.valueType, 'JSON')}
+                            ${option('msg', rule.valueType, 'msg property')}
+                            ${option('date', rule.valueType, 'timestamp')}
+                        </select>
+                        ${input('value', rule.value, 'value')}
+                    `;
+                    break;
+                case 'change':
+                    html += `
+                        ${input('search', rule.search, 'search for')}
+                        ${input('replace', rule.replace, 'replace with')}
+                        <label class="rule-checkbox"><input type="checkbox" class="rule-input" data-rule-key="regex" ${rule.regex ? 'checked' : ''}> Regular expression</label>
+                    `;
+                    break;
+                case 'move':
+                    html += input('to', rule.to, 'move to property');
+                    break;
+                case 'convert':
+                    html += `
+                        <select class="property-input rule-input" data-rule-key="toType">
+                            ${TransformRules.CONVERT_TYPES.map(type => option(type, rule.toType)).join('')}
+                        </select>
+                    `;
+                    break;
+            }
+            
+            return html + '</div>';
+        }).join('');
+    }
+
+    // Switch rules are numbered by the output port they send to
+    renderSwitchRuleRows(rules) {
+        const option = (value, selected, label) =>
+            `<option value="${value}" ${value === selected ? 'selected' : ''}>${this.escapeHtml(label || value)}</option>`;
+        const input = (key, value, placeholder) =>
+            `<input type="text" class="property-input rule-input" data-rule-key="${key}" value="${this.escapeHtml(String(value === undefined ? '' : value))}" placeholder="${placeholder}">`;
+        
+        return rules.map((rule, index) => {
+            let html = `
+                <div class="rule-row" data-rule-index="${index}">
+                    <div class="rule-row-header">
+                        <span class="rule-port" title="Output ${index + 1}">→ ${index + 1}</span>
+                        <select class="property-input rule-input" data-rule-key="operator">
+                            ${SwitchRules.OPERATORS.map(operator => option(operator, rule.operator, SwitchRules.LABELS[operator])).join('')}
+                        </select>
+                        <button type="button" class="rule-remove-btn" title="Remove rule">&times;</button>
+                    </div>
+            `;
+            
+            if (rule.operator === 'type') {
+                html += `
+                    <select class="property-input rule-input" data-rule-key="value">
+                        ${SwitchRules.TYPES.map(type => option(type, rule.value)).join('')}
+                    </select>
+                `;
+            } else if (rule.operator === 'between') {
+                html += input('value', rule.value, 'from') + input('value2', rule.value2, 'to');
+            } else if (!SwitchRules.NO_VALUE.includes(rule.operator)) {
+                html += input('value', rule.value, 'value');
+            }
+            if (rule.operator === 'regex') {
+                html += `<label class="rule-checkbox"><input type="checkbox" class="rule-input" data-rule-key="ignoreCase" ${rule.ignoreCase ? 'checked' : ''}> Ignore case</label>`;
+            }
+            
+            return html + '</div>';
+        }).join('');
+    }
+
+    readRules(editor) {
+        return Array.from(editor.querySelectorAll('.rule-row')).map(row => {
+            const rule = {};
+            row.querySelectorAll('[data-rule-key]').forEach(input => {
+                rule[input.dataset.ruleKey] = input.type === 'checkbox' ? input.checked : input.value;
+            });
+            return rule;
+        });
+    }
+
+    // onChange(change) is told which rule was removed, as { removedRule: index }
+    bindRulesEditor(editor, onChange) {
+        const kind = editor.dataset.rules || 'transform';
+        const rerender = (rules, change) => {
+            editor.querySelector('.rule-list').innerHTML = this.renderRuleRows(rules, kind);
+            if (onChange) onChange(change);
+        };
+        
+        editor.addEventListener('click', (e) => {
+            if (e.target.classList.contains('rule-add-btn')) {
+                const rule = kind === 'switch' ? { operator: 'eq', value: '' } : { action: 'set', property: '', valueType: 'str', value: '' };
+                rerender(this.readRules(editor).concat(rule));
+            } else if (e.target.classList.contains('rule-remove-btn')) {
+                const index = parseInt(e.target.closest('.rule-row').dataset.ruleIndex);
+                rerender(this.readRules(editor).filter((rule, i) => i !== index), { removedRule: index });
+            }
+        });
+        
+        // Each action or operator has its own inputs, so redraw the row when it changes
+        editor.addEventListener('change', (e) => {
+            if (e.target.dataset.ruleKey === 'action' || e.target.dataset.ruleKey === 'operator') {
+                rerender(this.readRules(editor));
+            }
+        });
     }
 
     showNoSelection() {
@@ -642,9 +1357,93 @@ class FlowEditor {
             <div class="no-selection">
                 <p>Select a node to view its properties</p>
             </div>
+            ${this.renderFlowSettings()}
+        `;
+        this.bindFlowSettings(propertiesContent);
+        this.renderPausedPanel();
+    }
+
+    // Message settings of the active tab, shown while nothing is selected
+    renderFlowSettings() {
+        const flow = this.flows.get(this.activeFlowId);
+        if (!flow) return '';
+        if (this.isSubflow(flow.id)) return this.renderSubflowSettings(flow);
+        
+        const defaults = this.runtime.getFlowSettings(null);
+        const value = setting => setting === undefined || setting === null ? '' : setting;
+        const policies = [['dropOldest', 'Drop the oldest message'], ['dropNewest', 'Drop the new message'], ['block', 'Block the sender']];
+        const overflow = flow.overflow || defaults.overflow;
+        return `
+            <div class="flow-settings">
+                <h4>${this.escapeHtml(flow.label)} settings</h4>
+                <div class="property-group">
+                    <label class="property-label">Hop delay (ms)</label>
+                    <input type="number" min="0" class="property-input" data-setting="hopDelay" value="${value(flow.hopDelay)}" placeholder="${defaults.hopDelay}">
+                </div>
+                <div class="property-group">
+                    <label class="property-label">Queue limit per node</label>
+                    <input type="number" min="1" class="property-input" data-setting="queueLimit" value="${value(flow.queueLimit)}" placeholder="${defaults.queueLimit}">
+                </div>
+                <div class="property-group">
+                    <label class="property-label">When a queue is full</label>
+                    <select class="property-input" data-setting="overflow">
+                        ${policies.map(([policy, label]) => `
+                            <option value="${policy}" ${policy === overflow ? 'selected' : ''}>${label}</option>
+                        `).join('')}
+                    </select>
+                </div>
+                <div class="property-group">
+                    <label class="property-label">Max hops per message</label>
+                    <input type="number" min="1" class="property-input" data-setting="maxHops" value="${value(flow.maxHops)}" placeholder="${defaults.maxHops}">
+                </div>
+            </div>
+        `;
+    }
+
+    // A subflow runs with the message settings of each tab it is used on, so it only has parameters
+    renderSubflowSettings(flow) {
+        const nodeType = NODE_TYPES[`subflow:${flow.id}`];
+        const params = (flow.params || []).map(param => `${param.name}=${param.value}`).join('\n');
+        const instances = this.getSubflowInstances(flow.id).length;
+        return `
+            <div class="flow-settings subflow-settings">
+                <h4>${this.escapeHtml(flow.label)} subflow</h4>
+                <p class="subflow-summary">${nodeType.inputs} input(s), ${nodeType.outputs} output(s) · used by ${instances} node(s)</p>
+                <div class="property-group">
+                    <label class="property-label">Parameters (NAME=default, one per line)</label>
+                    <textarea class="property-textarea" data-subflow-params>${this.escapeHtml(params)}</textarea>
+                </div>
+                <p class="subflow-hint">Write \${NAME} in the settings of the nodes inside; each instance can override the default.</p>
+            </div>
         `;
     }
 
+    bindFlowSettings(container) {
+        const paramsInput = container.querySelector('[data-subflow-params]');
+        if (paramsInput) {
+            paramsInput.addEventListener('change', () => {
+                this.setSubflowParams(this.activeFlowId, this.parseSubflowParams(paramsInput.value));
+            });
+        }
+
+        container.querySelectorAll('.flow-settings [data-setting]').forEach(input => {
+            input.addEventListener('change', () => {
+                const raw = input.value.trim();
+                const value = input.tagName === 'SELECT' || raw === '' ? raw : parseInt(raw);
+                this.setFlowSetting(this.activeFlowId, input.dataset.setting, value === '' || Number.isNaN(value) ? undefined : value);
+            });
+        });
+    }
+
+    setFlowSetting(flowId, setting, value) {
+        const flow = this.flows.get(flowId);
+        if (!flow) return;
+        
+        flow[setting] = value;
+        this.changedFlows.add(flowId);
+        this.emitChange();
+    }
+
     showNodeConfig(nodeType, existingNode = null) {
         const modal = document.getElementById('node-config-modal');
         const modalTitle = document.getElementById('modal-title');
@@ -664,25 +1463,37 @@ class FlowEditor {
                         <label class="property-label">${field.label}</label>
                 `;
                 
-                if (field.type === 'textarea') {
-                    html += `<textarea class="property-textarea" data-field="${field.name}">${value}</textarea>`;
-                } else if (field.type === 'checkbox') {
-                    html += `<input type="checkbox" data-field="${field.name}" ${value ? 'checked' : ''}>`;
-                } else if (field.type === 'select') {
-                    html += `<select class="property-input" data-field="${field.name}">`;
-                    field.options.forEach(option => {
-                        html += `<option value="${option}" ${value === option ? 'selected' : ''}>${option}</option>`;
-                    });
-                    html += `</select>`;
-                } else {
-                    html += `<input type="${field.type || 'text'}" class="property-input" data-field="${field.name}" value="${value}">`;
-                }
-                
+                html += this.renderConfigField(field, value);
                 html += '</div>';
             });
         }
 
+        if (nodeType === 'template') {
+            html += `
+                <div class="property-group">
+                    <label class="property-label">Preview</label>
+                    <pre class="template-preview"></pre>
+                </div>
+            `;
+        }
+
+        if (nodeType === 'output') {
+            html += `
+                <div class="property-group">
+                    <label class="property-label">Files</label>
+                    <div class="output-files"></div>
+                </div>
+            `;
+        }
+
         modalBody.innerHTML = html;
+        modalBody.querySelectorAll('.rules-editor').forEach(editor => this.bindRulesEditor(editor));
+        if (nodeType === 'template') {
+            this.bindTemplatePreview(modalBody, existingNode);
+        }
+        if (nodeType === 'output') {
+            this.renderOutputFiles(modalBody.querySelector('.output-files'), existingNode);
+        }
         modal.style.display = 'block';
 
         // Store context for saving
@@ -694,6 +1505,73 @@ class FlowEditor {
         }
     }
 
+    // Re-render the preview as the template is edited, against the last message the node received
+    bindTemplatePreview(container, node) {
+        const preview = container.querySelector('.template-preview');
+        const update = () => {
+            preview.classList.remove('template-preview-error', 'template-preview-empty');
+            if (!node || !node.lastMessage) {
+                preview.classList.add('template-preview-empty');
+                preview.textContent = 'Deploy and send a message to this node to preview the result';
+                return;
+            }
+
+            const config = {};
+            container.querySelectorAll('[data-field]').forEach(field => {
+                config[field.dataset.field] = this.readConfigField(field);
+            });
+            try {
+                const result = this.runtime.renderTemplate({ id: node.id, flow: node.flow, config }, node.lastMessage);
+                preview.textContent = typeof result === 'string' ? result : JSON.stringify(result, null, 2);
+            } catch (error) {
+                preview.classList.add('template-preview-error');
+                preview.textContent = error.message;
+            }
+        };
+
+        container.querySelectorAll('[data-field]').forEach(field => {
+            field.addEventListener('input', update);
+            field.addEventListener('change', update);
+        });
+        update();
+    }
+
+    // Files an Output node has gathered in the browser. Saving one asks where to put it and keeps
+    // writing there (or downloads it where the browser can't write files).
+    renderOutputFiles(container, node) {
+        const runtimeNode = node && this.runtime.nodes.get(node.id);
+        const names = runtimeNode && runtimeNode.outputFiles ? Array.from(runtimeNode.outputFiles) : [];
+        const writer = this.runtime.fileWriter;
+        const files = typeof writer.list === 'function' ? writer.list().filter(file => names.includes(file.name)) : [];
+
+        if (files.length === 0) {
+            container.innerHTML = '<div class="context-empty">Deploy with the file target and send messages to this node to gather a file</div>';
+            return;
+        }
+
+        container.innerHTML = files.map(file => `
+            <div class="context-entry">
+                <span class="context-key">${this.escapeHtml(file.name)}</span>
+                <span class="context-value">${file.size} bytes${file.saved ? ' - saving to disk' : ''}</span>
+                <button class="btn btn-secondary output-file-save" data-file="${this.escapeHtml(file.name)}">${file.saved ? 'Save As' : 'Save'}</button>
+            </div>
+        `).join('');
+
+        container.querySelectorAll('.output-file-save').forEach(button => {
+            button.addEventListener('click', () => {
+                const filename = button.dataset.file;
+                writer.save(filename).then(result => {
+                    this.notify(result === 'saved' ? `Saving ${filename} - later output is written to the same file` : `Downloaded ${filename}`, 'success');
+                    this.renderOutputFiles(container, node);
+                }).catch(error => {
+                    // The user closed the save dialog
+                    if (error.name === 'AbortError') return;
+                    this.notify(`Could not save ${filename}: ${error.message}`, 'error');
+                });
+            });
+        });
+    }
+
     saveNodeConfig() {
         const modal = document.getElementById('node-config-modal');
         const nodeType = modal.dataset.nodeType;
@@ -702,8 +1580,7 @@ class FlowEditor {
         
         const config = {};
         fields.forEach(field => {
-            const value = field.type === 'checkbox' ? field.checked : field.value;
-            config[field.name] = value;
+            config[field.dataset.field] = this.readConfigField(field);
         });
 
         if (nodeId) {
@@ -713,6 +1590,9 @@ class FlowEditor {
                 Object.assign(node.config, config);
                 const textElement = node.element.querySelector('.node-text');
                 textElement.textContent = config.name || NODE_TYPES[node.type].name;
+                this.updateNodePorts(node);
+                this.validateNodeConfig(node);
+                this.markNodeChanged(node);
                 if (this.selectedNode === node) {
                     this.updatePropertiesPanel(node);
                 }
@@ -762,14 +1642,26 @@ class FlowEditor {
     // Export/Import methods
     exportFlow() {
         const flow = {
+            flows: Array.from(this.flows.values()).map(flow => ({
+                id: flow.id,
+                label: flow.label,
+                hopDelay: flow.hopDelay,
+                queueLimit: flow.queueLimit,
+                overflow: flow.overflow,
+                maxHops: flow.maxHops,
+                type: flow.type,
+                params: flow.params
+            })),
             nodes: Array.from(this.nodes.values()).map(node => ({
                 id: node.id,
                 type: node.type,
+                flow: node.flow,
                 x: node.x,
                 y: node.y,
                 config: { ...node.config }
             })),
             links: Array.from(this.links.values()).map(link => ({
+                id: link.id,
                 source: link.source,
                 sourcePort: link.sourcePort,
                 target: link.target,
@@ -784,386 +1676,831 @@ class FlowEditor {
             const flow = JSON.parse(flowData);
             this.clearAll();
             
-            // Create nodes first
+            // Flows saved before tabs existed go on the default tab
+            if (Array.isArray(flow.flows) && flow.flows.length > 0) {
+                this.flows.clear();
+                this.flowCounter = 0;
+                flow.flows.forEach(flowData => {
+                    const settings = flowData.type === 'subflow'
+                        ? { type: 'subflow', params: Array.isArray(flowData.params) ? flowData.params : [] }
+                        : { hopDelay: flowData.hopDelay, queueLimit: flowData.queueLimit, overflow: flowData.overflow, maxHops: flowData.maxHops };
+                    this.createFlow(flowData.id, flowData.label, settings);
+                });
+                this.activeFlowId = (flow.flows.find(flowData => flowData.type !== 'subflow') || flow.flows[0]).id;
+                
+                // Instances may come before the subflow's own nodes; their ports follow as those are added
+                this.getSubflows().forEach(subflow => this.registerSubflowType(subflow));
+                this.renderSubflowPalette();
+            }
+            
+            // Create nodes first, keeping their IDs so links and the runtime can find them
             flow.nodes.forEach(nodeData => {
-                this.createNode(nodeData.type, nodeData.x, nodeData.y, nodeData.config);
+                this.createNode(nodeData.type, nodeData.x, nodeData.y, nodeData.config, {
+                    id: nodeData.id,
+                    flow: this.flows.has(nodeData.flow) ? nodeData.flow : this.activeFlowId
+                });
             });
             
             // Then create links
             flow.links.forEach(linkData => {
-                const sourceNode = Array.from(this.nodes.values()).find(n => n.id === linkData.source);
-                const targetNode = Array.from(this.nodes.values()).find(n => n.id === linkData.target);
+                const sourceNode = this.nodes.get(linkData.source);
+                const targetNode = this.nodes.get(linkData.target);
                 if (sourceNode && targetNode) {
-                    this.createConnection(sourceNode, linkData.sourcePort, targetNode, linkData.targetPort);
+                    this.createConnection(sourceNode, linkData.sourcePort, targetNode, linkData.targetPort, { id: linkData.id });
                 }
             });
+            
+            this.renderFlowTabs();
+            this.applyActiveFlow();
         } catch (error) {
             console.error('Failed to import flow:', error);
         }
     }
 
+    // Remove every node and tab and stop the running flow
     clearAll() {
+        this.runtime.clear();
+        this.runtime.clearBreakpoints();
         this.nodes.clear();
         this.links.clear();
+        this.subflowViews.clear();
         this.nodesLayer.innerHTML = '';
         this.linksLayer.innerHTML = '';
         this.clearSelection();
+        
+        this.nodeCounter = 0;
+        this.linkCounter = 0;
+        this.getSubflows().forEach(subflow => delete NODE_TYPES[`subflow:${subflow.id}`]);
+        this.flows.clear();
+        this.flowCounter = 0;
+        this.subflowCounter = 0;
+        this.renderSubflowPalette();
+        this.activeFlowId = this.createFlow().id;
+        this.renderFlowTabs();
+        this.clearChanges();
     }
 
-    // Node execution functionality
-    executeNode(node) {
-        console.log(`Executing node: ${node.id} (${node.type})`);
+    // Deployment - hand a snapshot of the canvas to the runtime.
+    // mode: 'full', 'nodes' (modified nodes only) or 'flows' (modified flows only)
+    deploy(mode = 'full') {
+        const result = this.runtime.deploy(this.exportFlow(), {
+            mode: mode,
+            changedNodes: new Set(this.changedNodes),
+            changedFlows: new Set(this.changedFlows)
+        });
         
-        if (node.type === 'exampleData') {
-            this.executeExampleDataNode(node);
-            this.executeNetworkDataSimNode(node);
+        // Restarted nodes start from a clean slate
+        result.restarted.forEach(nodeId => {
+            const node = this.nodes.get(nodeId);
+            if (!node) return;
+            node.errorCount = 0;
+            node.executionError = null;
+            this.updateNodeProblems(node);
+            this.setQueueDepth(node, 0, 0);
+        });
+        this.clearChanges();
+        return result;
+    }
+
+    hasChanges() {
+        return this.changedNodes.size > 0 || this.changedFlows.size > 0;
+    }
+
+    markNodeChanged(node) {
+        this.changedNodes.add(node.id);
+        this.changedFlows.add(node.flow);
+        
+        if (node.element && !node.element.querySelector('.node-changed-indicator')) {
+            const indicator = document.createElementNS('http://www.w3.org/2000/svg', 'circle');
+            indicator.setAttribute('class', 'node-changed-indicator');
+            indicator.setAttribute('cx', 8);
+            indicator.setAttribute('cy', 8);
+            indicator.setAttribute('r', 4);
+            node.element.appendChild(indicator);
         }
+        
+        // Editing a subflow changes every node that uses it
+        if (this.isSubflow(node.flow)) {
+            this.refreshSubflow(node.flow);
+        }
+        this.emitChange();
     }
 
-    executeExampleDataNode(node) {
-        try {
-            let payload;
-            const dataType = node.config.dataType || 'object';
-            const rawPayload = node.config.payload || '';
-
-            // Parse the payload based on data type
-            switch (dataType) {
-                case 'string':
-                    payload = rawPayload;
-                    break;
-                case 'number':
-                    payload = parseFloat(rawPayload) || 0;
-                    break;
-                case 'boolean':
-                    payload = rawPayload.toLowerCase() === 'true';
-                    break;
-                case 'object':
-                case 'array':
-                    payload = JSON.parse(rawPayload);
-                    break;
-                default:
-                    payload = rawPayload;
-            }
+    clearChanges() {
+        this.changedNodes.clear();
+        this.changedFlows.clear();
+        this.nodesLayer.querySelectorAll('.node-changed-indicator').forEach(indicator => indicator.remove());
+        this.emitChange();
+    }
 
-            const message = {
-                payload: payload,
-                topic: node.config.name || 'exampleData',
-                timestamp: new Date().toISOString(),
-                source: node.id
-            };
+    emitChange() {
+        document.dispatchEvent(new CustomEvent('flow-change', {
+            detail: { hasChanges: this.hasChanges(), changedNodes: this.changedNodes.size }
+        }));
+    }
 
-            // Visual feedback - flash the node
-            this.flashNode(node);
+    // Ask the app to show a notification
+    notify(message, type = 'info') {
+        document.dispatchEvent(new CustomEvent('flow-notify', { detail: { message, type } }));
+    }
 
-            // Send message to connected nodes
-            this.sendMessage(node, message);
+    // Flow tabs
+    setupFlowTabs() {
+        this.tabBar = document.querySelector('.workspace-tabs');
+        if (this.tabBar) {
+            this.tabBar.addEventListener('click', this.onTabClick.bind(this));
+            this.tabBar.addEventListener('dblclick', this.onTabDoubleClick.bind(this));
+        }
+        
+        this.activeFlowId = this.createFlow().id;
+        this.renderFlowTabs();
+    }
 
-            // Only log that execution started, not the data itself
-            console.log(`Example Data node "${node.config.name || node.id}" executed - sending data to connected nodes`);
+    // settings: hopDelay, queueLimit, overflow and maxHops; unset values use the runtime defaults.
+    // Subflow tabs have type 'subflow' and params instead.
+    createFlow(id = null, label = null, settings = {}) {
+        const flowId = id || `flow_${++this.flowCounter}`;
+        this.flowCounter = Math.max(this.flowCounter, this.getIdNumber(flowId, 'flow'));
+        this.subflowCounter = Math.max(this.subflowCounter, this.getIdNumber(flowId, 'subflow'));
+        
+        const flow = { id: flowId, label: label || `Flow ${this.flows.size + 1}`, ...settings };
+        this.flows.set(flowId, flow);
+        return flow;
+    }
 
-        } catch (error) {
-            console.error(`Error executing example data node ${node.id}:`, error);
-            this.showExecutionError(node, error.message);
+    addFlow() {
+        const flow = this.createFlow();
+        this.changedFlows.add(flow.id);
+        this.switchFlow(flow.id);
+        this.emitChange();
+        return flow;
+    }
+
+    // Why a tab can't be removed, or null when it can
+    getFlowRemovalProblem(flowId) {
+        const flow = this.flows.get(flowId);
+        if (!flow) return 'Unknown flow';
+        if (this.isSubflow(flowId)) {
+            const instances = this.getSubflowInstances(flowId).length;
+            return instances > 0 ? `"${flow.label}" is used by ${instances} node(s) - delete them first` : null;
         }
+        return this.flows.size - this.getSubflows().length <= 1 ? 'A workspace needs at least one flow' : null;
     }
 
+    removeFlow(flowId) {
+        if (this.getFlowRemovalProblem(flowId)) return false;
+        
+        const nodeIds = Array.from(this.nodes.values())
+            .filter(node => node.flow === flowId)
+            .map(node => node.id);
+        nodeIds.forEach(nodeId => this.deleteNode(nodeId));
+        
+        this.flows.delete(flowId);
+        this.changedFlows.add(flowId);
+        if (NODE_TYPES[`subflow:${flowId}`]) {
+            delete NODE_TYPES[`subflow:${flowId}`];
+            this.renderSubflowPalette();
+        }
+        if (this.activeFlowId === flowId) {
+            this.activeFlowId = Array.from(this.flows.values()).find(flow => !this.isSubflow(flow.id)).id;
+        }
+        this.renderFlowTabs();
+        this.applyActiveFlow();
+        this.emitChange();
+        return true;
+    }
 
+    renameFlow(flowId, label) {
+        const flow = this.flows.get(flowId);
+        if (!flow || !label) return;
+        
+        flow.label = label;
+        this.changedFlows.add(flowId);
+        if (this.isSubflow(flowId)) {
+            this.refreshSubflow(flowId);
+            this.renderSubflowPalette();
+        }
+        this.renderFlowTabs();
+        if (!this.selectedNode && !this.selectedLink) this.showNoSelection();
+        this.emitChange();
+    }
 
-    executeNetworkDataSimNode(node) {
-        try {
-            const config = node.config || {};
-            const networkType = config.networkType || 'social';
-            const nodeCount = parseInt(config.nodeCount) || 8;
-            const connectivity = parseFloat(config.connectivity) || 0.3;
-            const includeAttributes = config.includeAttributes !== false;
+    switchFlow(flowId) {
+        if (!this.flows.has(flowId)) return;
+        
+        this.activeFlowId = flowId;
+        this.clearSelection();
+        this.renderFlowTabs();
+        this.applyActiveFlow();
+    }
 
-            const networkData = this.generateNetworkData(networkType, nodeCount, connectivity, includeAttributes);
+    renderFlowTabs() {
+        if (!this.tabBar) return;
+        
+        this.tabBar.innerHTML = '';
+        this.flows.forEach(flow => {
+            const tab = document.createElement('div');
+            tab.className = `tab${flow.id === this.activeFlowId ? ' active' : ''}${this.isSubflow(flow.id) ? ' tab-subflow' : ''}`;
+            tab.dataset.tab = flow.id;
             
-            // Create proper message format with payload
-            const message = {
-                payload: networkData,
-                topic: 'network-simulation',
-                timestamp: new Date().toISOString(),
-                _msgid: this.generateMessageId()
-            };
+            const label = document.createElement('span');
+            label.textContent = this.isSubflow(flow.id) ? `🧩 ${flow.label}` : flow.label;
+            tab.appendChild(label);
+            
+            const closeBtn = document.createElement('button');
+            closeBtn.className = 'tab-close';
+            closeBtn.textContent = '×';
+            closeBtn.title = 'Remove flow';
+            tab.appendChild(closeBtn);
+            
+            this.tabBar.appendChild(tab);
+        });
+        
+        const addBtn = document.createElement('button');
+        addBtn.className = 'tab-add';
+        addBtn.textContent = '+';
+        addBtn.title = 'Add flow';
+        this.tabBar.appendChild(addBtn);
+    }
+
+    onTabClick(e) {
+        if (e.target.closest('.tab-add')) {
+            this.addFlow();
+            return;
+        }
+        
+        const tab = e.target.closest('.tab');
+        if (!tab) return;
+        
+        const flowId = tab.dataset.tab;
+        if (e.target.closest('.tab-close')) {
+            const flow = this.flows.get(flowId);
+            const problem = this.getFlowRemovalProblem(flowId);
+            if (problem) {
+                this.notify(problem, 'warning');
+            } else if (confirm(`Remove "${flow.label}" and all of its nodes?`)) {
+                this.removeFlow(flowId);
+            }
+        } else {
+            this.switchFlow(flowId);
+        }
+    }
 
-            // Send the network data to connected nodes
-            this.sendMessage(node, message);
+    onTabDoubleClick(e) {
+        const tab = e.target.closest('.tab');
+        if (!tab || e.target.closest('.tab-close')) return;
+        
+        const flow = this.flows.get(tab.dataset.tab);
+        const label = prompt('Flow name', flow.label);
+        if (label !== null) {
+            this.renameFlow(flow.id, label.trim());
+        }
+    }
 
-            // Visual feedback - flash the node
-            this.flashNode(node);
+    // Show only the nodes, wires and visualizations of the active tab
+    applyActiveFlow() {
+        this.nodesLayer.querySelectorAll('[data-node-id]').forEach(element => {
+            const node = this.getDisplayNode(element.dataset.nodeId);
+            element.style.display = node && node.flow !== this.activeFlowId ? 'none' : '';
+        });
+        
+        this.links.forEach(link => {
+            const sourceNode = this.nodes.get(link.source);
+            link.element.style.display = sourceNode && sourceNode.flow !== this.activeFlowId ? 'none' : '';
+        });
+    }
 
-            console.log(`🔗 Network Data Simulation node "${node.config?.name || node.id}" executed - sending ${networkData.nodes.length} nodes and ${networkData.edges.length} edges to connected nodes`);
+    // Subflows - a subflow is a tab of type 'subflow' whose nodes are used as one node type,
+    // "subflow:<tab ID>", on other tabs. The runtime runs a copy of the tab per instance.
+    isSubflow(flowId) {
+        const flow = this.flows.get(flowId);
+        return !!flow && flow.type === 'subflow';
+    }
+
+    getSubflows() {
+        return Array.from(this.flows.values()).filter(flow => flow.type === 'subflow');
+    }
 
+    getFlowNodes(flowId) {
+        return Array.from(this.nodes.values()).filter(node => node.flow === flowId);
+    }
+
+    getSubflowInstances(flowId) {
+        return Array.from(this.nodes.values()).filter(node => node.type === `subflow:${flowId}`);
+    }
+
+    createSubflow(label = null) {
+        const flowId = `subflow_${++this.subflowCounter}`;
+        const flow = this.createFlow(flowId, label || `Subflow ${this.getSubflows().length + 1}`, { type: 'subflow', params: [] });
+        this.changedFlows.add(flowId);
+        this.registerSubflowType(flow);
+        this.renderSubflowPalette();
+        return flow;
+    }
+
+    // The node type of a subflow's instances: ports follow its Subflow Input and Output nodes,
+    // and each parameter gets a field that is left empty to use the subflow's default
+    registerSubflowType(flow) {
+        const members = this.getFlowNodes(flow.id);
+        const ports = members.filter(node => node.type === 'subflowOut').map(node => FlowRuntime.getSubflowPort(node.config));
+        NODE_TYPES[`subflow:${flow.id}`] = {
+            name: flow.label,
+            icon: '🧩',
+            color: '#9575cd',
+            category: 'subflow',
+            subflow: flow.id,
+            inputs: members.some(node => node.type === 'subflowIn') ? 1 : 0,
+            outputs: Math.max(0, ...ports),
+            defaults: {
+                name: ''
+            },
+            configFields: [
+                { name: 'name', label: 'Name', type: 'text' },
+                ...(flow.params || []).map(param => ({ name: param.name, label: param.name, type: 'text', placeholder: param.value }))
+            ]
+        };
+    }
+
+    // Bring the instances of a subflow up to date after its tab was edited
+    refreshSubflow(flowId) {
+        const flow = this.flows.get(flowId);
+        if (!flow) return;
+        
+        this.registerSubflowType(flow);
+        this.getSubflowInstances(flowId).forEach(instance => {
+            this.updateNodePorts(instance);
+            this.updateInjectButton(instance);
+            instance.element.querySelector('.node-text').textContent = instance.config.name || flow.label;
+            this.markNodeChanged(instance);
+        });
+    }
+
+    // "NAME=default" lines; names are used as ${NAME} inside the subflow
+    parseSubflowParams(text) {
+        const params = [];
+        text.split('\n').map(line => line.trim()).filter(line => line !== '').forEach(line => {
+            const separator = line.indexOf('=');
+            const name = (separator === -1 ? line : line.slice(0, separator)).trim();
+            const value = separator === -1 ? '' : line.slice(separator + 1).trim();
+            if (!/^\w+$/.test(name) || name === 'name' || name === 'outputs') {
+                this.notify(`Ignoring parameter "${name}": use letters, digits and _ (not "name" or "outputs")`, 'warning');
+                return;
+            }
+            if (!params.some(param => param.name === name)) {
+                params.push({ name, value });
+            }
+        });
+        return params;
+    }
+
+    setSubflowParams(flowId, params) {
+        const flow = this.flows.get(flowId);
+        if (!flow) return;
+        
+        flow.params = params;
+        this.changedFlows.add(flowId);
+        this.refreshSubflow(flowId);
+        this.emitChange();
+    }
+
+    // Move the selected nodes to a new subflow and put an instance of it in their place.
+    // Wires into the selection go through a Subflow Input, and each output that had wires
+    // leaving the selection becomes an output port.
+    createSubflowFromSelection(label = null) {
+        const nodes = Array.from(this.multiSelection);
+        if (nodes.length === 0) return null;
+        if (this.isSubflow(this.activeFlowId)) {
+            this.notify('Subflows can\'t contain other subflows', 'warning');
+            return null;
+        }
+        if (nodes.some(node => NODE_TYPES[node.type].subflow)) {
+            this.notify('Subflows can\'t contain other subflows - leave the subflow nodes out of the selection', 'warning');
+            return null;
+        }
+        
+        const flowId = this.activeFlowId;
+        const selectedIds = new Set(nodes.map(node => node.id));
+        const links = Array.from(this.links.values());
+        const incoming = links.filter(link => !selectedIds.has(link.source) && selectedIds.has(link.target));
+        const outgoing = links.filter(link => selectedIds.has(link.source) && !selectedIds.has(link.target));
+        
+        const exits = [];
+        const exitIndex = link => exits.findIndex(exit => exit.source === link.source && exit.sourcePort === link.sourcePort);
+        outgoing.forEach(link => {
+            if (exitIndex(link) === -1) exits.push({ source: link.source, sourcePort: link.sourcePort });
+        });
+        
+        const minX = Math.min(...nodes.map(node => node.x));
+        const maxX = Math.max(...nodes.map(node => node.x + node.width));
+        const minY = Math.min(...nodes.map(node => node.y));
+        const maxY = Math.max(...nodes.map(node => node.y + node.height));
+        
+        const subflow = this.createSubflow(label);
+        [...incoming, ...outgoing].forEach(link => this.deleteLink(link.id));
+        this.changedFlows.add(flowId);
+        nodes.forEach(node => {
+            node.flow = subflow.id;
+            this.markNodeChanged(node);
+        });
+        
+        if (incoming.length > 0) {
+            const input = this.createNode('subflowIn', minX - 180, (minY + maxY) / 2 - 20, {}, { flow: subflow.id });
+            const entries = [];
+            incoming.forEach(link => {
+                if (entries.some(entry => entry.target === link.target && entry.targetPort === link.targetPort)) return;
+                entries.push(link);
+                this.createConnection(input, 0, this.nodes.get(link.target), link.targetPort);
+            });
+        }
+        exits.forEach((exit, index) => {
+            const output = this.createNode('subflowOut', maxX + 60, minY + index * 60, { port: index + 1 }, { flow: subflow.id });
+            this.createConnection(this.nodes.get(exit.source), exit.sourcePort, output, 0);
+        });
+        
+        const instance = this.createNode(`subflow:${subflow.id}`, (minX + maxX) / 2 - 60, (minY + maxY) / 2 - 20, {}, { flow: flowId });
+        const sources = [];
+        incoming.forEach(link => {
+            if (sources.some(source => source.source === link.source && source.sourcePort === link.sourcePort)) return;
+            sources.push(link);
+            this.createConnection(this.nodes.get(link.source), link.sourcePort, instance, 0);
+        });
+        outgoing.forEach(link => {
+            this.createConnection(instance, exitIndex(link), this.nodes.get(link.target), link.targetPort);
+        });
+        
+        this.renderFlowTabs();
+        this.applyActiveFlow();
+        this.selectNode(instance);
+        this.notify(`Created subflow "${subflow.label}" from ${nodes.length} node(s)`, 'success');
+        return subflow;
+    }
+
+    // Context storage
+    getContextBackendName() {
+        try {
+            return localStorage.getItem('contextBackend') || 'memory';
         } catch (error) {
-            console.error('Error in network data simulation:', error);
+            return 'memory';
         }
     }
 
-    generateNetworkData(networkType, nodeCount, connectivity, includeAttributes) {
-        const nodes = [];
-        const links = [];
+    createContextBackend(name) {
+        switch (name) {
+            case 'localStorage':
+                return new LocalStorageContextBackend();
+            case 'indexedDB':
+                return new IndexedDBContextBackend();
+            default:
+                return new MemoryContextBackend();
+        }
+    }
+
+    setContextBackend(name) {
+        try {
+            localStorage.setItem('contextBackend', name);
+        } catch (error) {
+            console.warn('⚠️ Could not remember the context backend:', error);
+        }
+        this.contextStore.setBackend(this.createContextBackend(name));
+        this.notify(`Context is now stored in ${name}`, 'info');
+    }
+
+    setupSidebarTabs() {
+        document.querySelectorAll('.panel-tab').forEach(tab => {
+            tab.addEventListener('click', () => this.showSidebarPanel(tab.dataset.panel));
+        });
+    }
+
+    showSidebarPanel(panelId) {
+        document.querySelectorAll('.panel-tab').forEach(tab => {
+            tab.classList.toggle('active', tab.dataset.panel === panelId);
+            const panel = document.getElementById(tab.dataset.panel);
+            if (panel) panel.style.display = tab.dataset.panel === panelId ? '' : 'none';
+        });
+        if (panelId === 'context-content') {
+            this.renderContextBrowser();
+        }
+    }
+
+    // Context changes can arrive once per message, so redraw at most a few times a second
+    scheduleContextRefresh() {
+        if (this.contextRefreshTimer) return;
+        this.contextRefreshTimer = setTimeout(() => {
+            this.contextRefreshTimer = null;
+            this.renderContextBrowser();
+        }, 200);
+    }
+
+    renderContextBrowser() {
+        const container = document.getElementById('context-content');
+        if (!container || container.style.display === 'none') return;
+        
+        const backendName = this.getContextBackendName();
+        const backends = [['memory', 'Memory (lost on reload)'], ['localStorage', 'Local storage'], ['indexedDB', 'IndexedDB']];
+        const node = this.selectedNode;
+        const flow = this.flows.get(this.activeFlowId);
+        const sections = [
+            {
+                title: node ? `Node: ${node.config.name || node.type}` : 'Node',
+                scope: node ? ContextStore.nodeScope(node.id) : null,
+                empty: 'Select a node to see its context'
+            },
+            { title: `Flow: ${flow ? flow.label : ''}`, scope: ContextStore.flowScope(this.activeFlowId), empty: 'No flow context' },
+            { title: 'Global', scope: ContextStore.globalScope(), empty: 'No global context' }
+        ];
+        
+        container.innerHTML = `
+            <div class="property-group">
+                <label class="property-label">Storage</label>
+                <select class="property-input context-backend">
+                    ${backends.map(([value, label]) => `
+                        <option value="${value}" ${value === backendName ? 'selected' : ''}>${label}</option>
+                    `).join('')}
+                </select>
+            </div>
+            ${sections.map(section => this.renderContextSection(section)).join('')}
+        `;
+        
+        container.querySelector('.context-backend').addEventListener('change', e => this.setContextBackend(e.target.value));
+        container.querySelectorAll('.context-delete').forEach(button => {
+            button.addEventListener('click', () => this.contextStore.delete(button.dataset.scope, button.dataset.key));
+        });
+        container.querySelectorAll('.context-clear').forEach(button => {
+            button.addEventListener('click', () => this.contextStore.clear(button.dataset.scope));
+        });
+    }
+
+    renderContextSection(section) {
+        const keys = section.scope ? this.contextStore.keys(section.scope) : [];
+        const scope = section.scope ? this.escapeHtml(section.scope) : '';
+        const entries = keys.map(key => {
+            const value = JSON.stringify(this.contextStore.get(section.scope, key));
+            const preview = value.length > 80 ? value.substring(0, 80) + '…' : value;
+            return `
+                <div class="context-entry">
+                    <span class="context-key">${this.escapeHtml(key)}</span>
+                    <span class="context-value" title="${this.escapeHtml(value)}">${this.escapeHtml(preview)}</span>
+                    <button class="context-delete" data-scope="${scope}" data-key="${this.escapeHtml(key)}" title="Delete">×</button>
+                </div>
+            `;
+        }).join('');
+        
+        return `
+            <div class="property-group context-section">
+                <div class="context-section-header">
+                    <label class="property-label">${this.escapeHtml(section.title)}</label>
+                    ${keys.length ? `<button class="btn btn-secondary context-clear" data-scope="${scope}">Clear</button>` : ''}
+                </div>
+                ${entries || `<div class="context-empty">${section.empty}</div>`}
+            </div>
+        `;
+    }
 
-        // Generate network nodes based on type
-        if (networkType === 'social') {
-            const socialRoles = ['Friend', 'Family', 'Colleague', 'Acquaintance', 'Neighbor'];
-            const names = ['Alice', 'Bob', 'Charlie', 'Diana', 'Eve', 'Frank', 'Grace', 'Henry', 'Iris', 'Jack'];
-            
-            for (let i = 0; i < nodeCount; i++) {
-                const node = {
-                    id: `person_${i}`,
-                    label: names[i] || `Person ${i}`,
-                    type: 'person'
-                };
-                
-                if (includeAttributes) {
-                    node.role = socialRoles[Math.floor(Math.random() * socialRoles.length)];
-                    node.age = Math.floor(Math.random() * 60) + 18;
-                    node.influence = Math.floor(Math.random() * 100);
-                }
-                
-                nodes.push(node);
+    bindRuntimeEvents() {
+        // The runtime works on a deployed copy of the flow, so map its nodes back by ID
+        this.runtime.on('activity', (node, message) => {
+            const editorNode = this.nodes.get(node.id);
+            // Template nodes preview their template against the last message they received
+            if (editorNode && message && editorNode.type === 'template') {
+                editorNode.lastMessage = message;
             }
-        } else if (networkType === 'organizational') {
-            const departments = ['Engineering', 'Marketing', 'Sales', 'HR', 'Finance'];
-            const positions = ['Manager', 'Director', 'Analyst', 'Specialist', 'Coordinator'];
-            
-            for (let i = 0; i < nodeCount; i++) {
-                const node = {
-                    id: `emp_${i}`,
-                    label: `Employee ${i + 1}`,
-                    type: 'employee'
-                };
-                
-                if (includeAttributes) {
-                    node.department = departments[Math.floor(Math.random() * departments.length)];
-                    node.position = positions[Math.floor(Math.random() * positions.length)];
-                    node.experience = Math.floor(Math.random() * 20) + 1;
-                    node.salary = Math.floor(Math.random() * 100000) + 40000;
-                }
-                
-                nodes.push(node);
+            this.flashNode(editorNode || this.nodes.get(node.instance));
+        });
+        this.runtime.on('running', (node, running) => {
+            const editorNode = this.nodes.get(node.id);
+            if (editorNode) this.setNodeRunning(editorNode, running);
+        });
+        this.runtime.on('error', (node, errorMessage) => {
+            const editorNode = this.nodes.get(node.id);
+            if (editorNode) {
+                editorNode.errorCount = node.errorCount;
+                this.showExecutionError(editorNode, errorMessage);
+                return;
             }
-        } else if (networkType === 'technical') {
-            const techTypes = ['Server', 'Database', 'API', 'Frontend', 'Gateway', 'Cache', 'Queue', 'Service'];
             
-            for (let i = 0; i < nodeCount; i++) {
-                const node = {
-                    id: `tech_${i}`,
-                    label: `${techTypes[i % techTypes.length]}-${Math.floor(i / techTypes.length) + 1}`,
-                    type: 'component'
-                };
-                
-                if (includeAttributes) {
-                    node.status = Math.random() > 0.8 ? 'down' : 'up';
-                    node.load = Math.floor(Math.random() * 100);
-                    node.memory = Math.floor(Math.random() * 16) + 1; // GB
-                    node.cpu = Math.floor(Math.random() * 100);
-                }
-                
-                nodes.push(node);
+            // Failures inside a subflow show on the instance that ran it
+            const instance = this.nodes.get(node.instance);
+            if (instance) {
+                instance.errorCount = (instance.errorCount || 0) + 1;
+                this.showExecutionError(instance, errorMessage);
             }
-        } else { // random
-            for (let i = 0; i < nodeCount; i++) {
-                const node = {
-                    id: `node_${i}`,
-                    label: `Node ${i + 1}`,
-                    type: 'generic'
-                };
-                
-                if (includeAttributes) {
-                    node.value = Math.floor(Math.random() * 1000);
-                    node.category = ['A', 'B', 'C'][Math.floor(Math.random() * 3)];
-                    node.weight = parseFloat((Math.random() * 10).toFixed(2));
-                }
-                
-                nodes.push(node);
+        });
+        this.runtime.on('errorCleared', node => {
+            const editorNode = this.nodes.get(node.id) || this.nodes.get(node.instance);
+            if (editorNode) this.clearExecutionError(editorNode);
+        });
+        this.runtime.on('status', (node, status) => {
+            const editorNode = this.nodes.get(node.id);
+            if (editorNode) this.renderNodeStatus(editorNode, status);
+        });
+        this.runtime.on('queue', (node, depth, dropped) => {
+            const editorNode = this.nodes.get(node.id);
+            if (editorNode) this.setQueueDepth(editorNode, depth, dropped);
+        });
+        this.runtime.on('loop', (node, nodeIds) => {
+            const names = nodeIds.filter(nodeId => this.nodes.has(nodeId)).map(nodeId => {
+                const loopNode = this.nodes.get(nodeId);
+                return loopNode.config.name || NODE_TYPES[loopNode.type].name;
+            });
+            this.notify(`Stopped a message going round a loop: ${names.join(', ')}`, 'warning');
+            this.highlightLoop(nodeIds);
+        });
+        this.runtime.on('paused', (node, message, link) => this.showPausedMessage(node, link));
+        this.runtime.on('resumed', () => this.clearPausedMessage());
+        this.runtime.on('held', count => {
+            const queue = document.querySelector('.paused-panel .paused-queue');
+            if (queue) queue.textContent = `${count} message(s) queued behind this one`;
+        });
+        // Output from inside a subflow shows on the instance, labelled with the inner node
+        this.runtime.on('debug', (node, output, message) => {
+            const editorNode = this.nodes.get(node.id);
+            if (editorNode) {
+                this.addDebugOutput(editorNode, output, message);
+                return;
             }
-        }
-
-        // Generate links based on connectivity
-        const maxPossibleLinks = (nodeCount * (nodeCount - 1)) / 2;
-        const targetLinkCount = Math.floor(maxPossibleLinks * connectivity);
-
-        const usedPairs = new Set();
-        
-        for (let i = 0; i < targetLinkCount; i++) {
-            let source, target, pairKey;
-            let attempts = 0;
-            
-            do {
-                source = Math.floor(Math.random() * nodeCount);
-                target = Math.floor(Math.random() * nodeCount);
-                pairKey = `${Math.min(source, target)}-${Math.max(source, target)}`;
-                attempts++;
-                
-                if (attempts > targetLinkCount * 2) break; // Prevent infinite loop
-            } while (source === target || usedPairs.has(pairKey));
+            const instance = this.nodes.get(node.instance);
+            if (instance) this.addDebugOutput(instance, output, message, node.config.name || NODE_TYPES[node.type].name);
+        });
+        this.runtime.on('display', (node, message) => {
+            const editorNode = this.nodes.get(node.id) || this.getSubflowView(node);
+            if (!editorNode) return;
             
-            if (source !== target && !usedPairs.has(pairKey)) {
-                usedPairs.add(pairKey);
-                
-                const link = {
-                    source: nodes[source].id,
-                    target: nodes[target].id
-                };
-                
-                if (includeAttributes) {
-                    link.weight = parseFloat((Math.random() * 10 + 1).toFixed(2));
-                    if (networkType === 'social') {
-                        link.relationship = ['friend', 'family', 'colleague'][Math.floor(Math.random() * 3)];
-                    } else if (networkType === 'organizational') {
-                        link.reportingLine = Math.random() > 0.7;
-                    } else if (networkType === 'technical') {
-                        link.protocol = ['HTTP', 'TCP', 'UDP', 'WebSocket'][Math.floor(Math.random() * 4)];
-                        link.latency = Math.floor(Math.random() * 100) + 1; // ms
-                    }
-                }
-                
-                links.push(link);
+            switch (editorNode.type) {
+                case 'dataTable':
+                    this.executeDataTableNode(editorNode, message);
+                    break;
+                case 'chartNode':
+                    this.executeChartNode(editorNode, message);
+                    break;
+                case 'graphViz':
+                    this.executeGraphVizNode(editorNode, message);
+                    break;
             }
-        }
-
-        return {
-            nodes,
-            edges: links,  // Changed from 'links' to 'edges' to match Graph Viz expectation
-            metadata: {
-                networkType,
-                nodeCount,
-                linkCount: links.length,
-                connectivity,
-                generated: new Date().toISOString()
+            
+            // Visualizations of nodes on other tabs stay hidden
+            if (editorNode.flow !== this.activeFlowId) {
+                this.applyActiveFlow();
             }
-        };
+        });
     }
 
-    generateMessageId() {
-        return Math.random().toString(36).substr(2, 9) + Date.now().toString(36);
+    // The stand-in for a runtime copy of a node inside a subflow instance: it draws at the
+    // instance, named after the inner node, and keeps its display data between messages
+    getSubflowView(node) {
+        const instance = this.nodes.get(node.instance);
+        if (!instance) return null;
+        
+        let view = this.subflowViews.get(node.id);
+        if (!view) {
+            const innerName = node.config.name || NODE_TYPES[node.type].name;
+            view = {
+                id: node.id,
+                type: node.type,
+                instance: instance.id,
+                config: Object.assign({}, node.config, { name: `${instance.config.name || NODE_TYPES[instance.type].name} › ${innerName}` })
+            };
+            this.subflowViews.set(node.id, view);
+        }
+        // Follow the instance around the canvas and between tabs
+        Object.assign(view, { flow: instance.flow, x: instance.x, y: instance.y, width: instance.width, height: instance.height, element: instance.element });
+        return view;
     }
 
-    sendMessage(sourceNode, message) {
-        // Find all outgoing connections from this node
-        const outgoingLinks = Array.from(this.links.values()).filter(link => 
-            link.source === sourceNode.id
-        );
-
-        outgoingLinks.forEach(link => {
-            const targetNode = this.nodes.get(link.target);
-            if (targetNode) {
-                // Add a small delay to show the flow visually
-                setTimeout(() => {
-                    this.receiveMessage(targetNode, message, link);
-                }, 100);
-            }
-        });
+    getDisplayNode(nodeId) {
+        return this.nodes.get(nodeId) || this.subflowViews.get(nodeId);
+    }
 
-        // Log the message flow
-        if (outgoingLinks.length > 0) {
-            console.log(`💫 Data flowing from "${sourceNode.config.name || sourceNode.id}" to ${outgoingLinks.length} connected node(s)`);
+    // Status of nodes drawn by the editor goes through the runtime like everyone else's
+    setNodeStatus(node, status) {
+        const deployedNode = this.runtime.nodes.get(node.id);
+        if (deployedNode) {
+            this.runtime.setStatus(deployedNode, status);
         } else {
-            console.log(`⚠️ No connections from "${sourceNode.config.name || sourceNode.id}" - data not forwarded`);
+            this.renderNodeStatus(node, status);
         }
     }
 
-    receiveMessage(node, message, link) {
-        // Flash the receiving node to show data flow
-        this.flashNode(node);
-
-        // Handle different node types - let them process the message
-        switch (node.type) {
-            case 'debug':
-                this.executeDebugNode(node, message);
-                break;
-            case 'output':
-                this.executeOutputNode(node, message);
-                break;
-            case 'function':
-                this.executeFunctionNode(node, message);
-                break;
-            case 'dataTable':
-                this.executeDataTableNode(node, message);
-                break;
-            case 'chartNode':
-                this.executeChartNode(node, message);
-                break;
-            case 'graphViz':
-                this.executeGraphVizNode(node, message);
-                break;
-            default:
-                console.log(`Node ${node.id} (${node.type}) received message but no handler defined`);
-        }
+    getNodeStatus(nodeId) {
+        const node = this.nodes.get(nodeId);
+        return node && node.status ? { ...node.status } : null;
     }
 
-    executeDebugNode(node, message) {
-        const output = node.config.complete === 'payload' ? message.payload : message;
-        console.log(`[DEBUG ${node.config.name || node.id}]:`, output);
+    // Draw a status (coloured dot or ring plus short text) under the node
+    renderNodeStatus(node, status) {
+        node.status = status;
+        if (!node.element) return;
         
-        // Store the debug output in the node for display
-        if (!node.debugOutputs) {
-            node.debugOutputs = [];
+        let statusGroup = node.element.querySelector('.node-status');
+        if (!status) {
+            if (statusGroup) statusGroup.remove();
+            return;
         }
         
-        const debugEntry = {
-            timestamp: new Date().toLocaleTimeString(),
-            data: output,
-            fullMessage: message
-        };
-        
-        // Keep only last 10 entries
-        node.debugOutputs.unshift(debugEntry);
-        if (node.debugOutputs.length > 10) {
-            node.debugOutputs = node.debugOutputs.slice(0, 10);
+        if (!statusGroup) {
+            statusGroup = document.createElementNS('http://www.w3.org/2000/svg', 'g');
+            statusGroup.setAttribute('class', 'node-status');
+            node.element.appendChild(statusGroup);
+        }
+        statusGroup.setAttribute('transform', `translate(0, ${node.height + 4})`);
+        statusGroup.innerHTML = '';
+        
+        let textX = 0;
+        if (status.shape) {
+            const shape = document.createElementNS('http://www.w3.org/2000/svg', 'circle');
+            shape.setAttribute('class', `node-status-${status.shape} node-status-${status.fill || 'grey'}`);
+            shape.setAttribute('cx', 5);
+            shape.setAttribute('cy', 6);
+            shape.setAttribute('r', 4);
+            statusGroup.appendChild(shape);
+            textX = 13;
         }
         
-        // Update properties panel if this node is selected
-        if (this.selectedNode && this.selectedNode.id === node.id) {
-            this.updatePropertiesPanel(node);
+        if (status.text) {
+            const text = document.createElementNS('http://www.w3.org/2000/svg', 'text');
+            text.setAttribute('class', 'node-status-text');
+            text.setAttribute('x', textX);
+            text.setAttribute('y', 10);
+            text.textContent = this.truncateText(status.text, 160);
+            statusGroup.appendChild(text);
         }
     }
 
-    executeOutputNode(node, message) {
-        const nodeName = node.config.name || node.id;
-        const target = node.config.target || 'console';
+    // Queue depth changes with every message, so the counters are redrawn a few times a second
+    setQueueDepth(node, depth, dropped) {
+        node.queueDepth = depth;
+        node.droppedCount = dropped;
+        this.queueRenderNodes.add(node);
+        if (this.queueRenderTimer) return;
+        
+        this.queueRenderTimer = setTimeout(() => {
+            this.queueRenderTimer = null;
+            this.queueRenderNodes.forEach(queued => this.renderQueueDepth(queued));
+            this.queueRenderNodes.clear();
+        }, 100);
+    }
+
+    // Shown above nodes with a backlog or messages lost to a full queue
+    renderQueueDepth(node) {
+        if (!node.element || !this.nodes.has(node.id)) return;
         
-        console.log(`[OUTPUT ${nodeName}] Target: ${target}`);
-        console.log(`[OUTPUT ${nodeName}] Data:`, message.payload);
-        console.log(`[OUTPUT ${nodeName}] Full Message:`, message);
+        let counter = node.element.querySelector('.node-queue');
+        if (node.queueDepth <= 1 && !node.droppedCount) {
+            if (counter) counter.remove();
+            return;
+        }
         
-        // Handle different output targets
-        switch (target) {
-            case 'console':
-                console.log(`📤 Console Output from ${nodeName}:`, message.payload);
-                break;
-            case 'file':
-                console.log(`📁 File Output from ${nodeName}: (would save to file)`, message.payload);
-                break;
-            case 'database':
-                console.log(`🗄️ Database Output from ${nodeName}: (would save to database)`, message.payload);
-                break;
-            default:
-                console.log(`📤 Output from ${nodeName}:`, message.payload);
+        if (!counter) {
+            counter = document.createElementNS('http://www.w3.org/2000/svg', 'g');
+            counter.setAttribute('class', 'node-queue');
+            counter.setAttribute('transform', 'translate(0, -20)');
+            counter.appendChild(document.createElementNS('http://www.w3.org/2000/svg', 'rect'));
+            const text = document.createElementNS('http://www.w3.org/2000/svg', 'text');
+            text.setAttribute('x', 6);
+            text.setAttribute('y', 12);
+            counter.appendChild(text);
+            node.element.appendChild(counter);
         }
+        
+        const label = node.droppedCount
+            ? `${node.queueDepth} queued · ${node.droppedCount} dropped`
+            : `${node.queueDepth} queued`;
+        counter.classList.toggle('node-queue-dropping', node.droppedCount > 0);
+        counter.querySelector('text').textContent = label;
+        const rect = counter.querySelector('rect');
+        rect.setAttribute('width', label.length * 6 + 12);
+        rect.setAttribute('height', 16);
+        rect.setAttribute('rx', 8);
     }
 
-    executeFunctionNode(node, message) {
-        try {
-            const nodeName = node.config.name || node.id;
-            console.log(`⚙️ Function node "${nodeName}" processing message...`);
-            
-            // For now, just pass the message through unchanged
-            // In a real implementation, this would execute the custom function code
-            const processedMessage = { ...message };
-            
-            console.log(`✅ Function node "${nodeName}" completed processing`);
-            
-            // Pass the message to connected nodes
-            this.sendMessage(node, processedMessage);
-        } catch (error) {
-            console.error(`❌ Function node "${node.config.name || node.id}" error:`, error);
+    setNodeRunning(node, running) {
+        if (!node.element) return;
+        
+        node.element.classList.toggle('node-running', running);
+        let indicator = node.element.querySelector('.node-running-indicator');
+        if (running && !indicator) {
+            indicator = document.createElementNS('http://www.w3.org/2000/svg', 'circle');
+            indicator.setAttribute('class', 'node-running-indicator');
+            indicator.setAttribute('cx', node.width - 8);
+            indicator.setAttribute('cy', 8);
+            indicator.setAttribute('r', 4);
+            node.element.appendChild(indicator);
+        } else if (!running && indicator) {
+            indicator.remove();
         }
     }
 
-
+    // Node execution functionality - injects into the deployed copy of the node,
+    // deploying the canvas first if this node has never been deployed
+    executeNode(node) {
+        let deployedNode = this.runtime.nodes.get(node.id);
+        if (!deployedNode) {
+            this.deploy('full');
+            this.notify('Flow deployed', 'success');
+            deployedNode = this.runtime.nodes.get(node.id);
+            if (!deployedNode) return;
+        }
+        this.runtime.executeNode(deployedNode);
+    }
 
     createConnectionsBasedOnStrategy(nodes, edges, strategy) {
         const usedPairs = new Set();
@@ -1469,10 +2806,11 @@ class FlowEditor {
             // Create and render the table
             this.renderDataTable(node, displayData);
             
+            this.setNodeStatus(node, { fill: 'green', shape: 'dot', text: `${displayData.length} rows` });
             console.log(`✅ Data Table node "${nodeName}" rendered ${displayData.length} rows`);
             
         } catch (error) {
-            console.error(`❌ Data Table node "${node.config.name || node.id}" error:`, error);
+            this.reportDisplayError(node, error, message);
         }
     }
 
@@ -1682,7 +3020,7 @@ class FlowEditor {
     }
 
     clearTableData(nodeId) {
-        const node = this.nodes.get(nodeId);
+        const node = this.getDisplayNode(nodeId);
         if (node) {
             // Clear accumulated data
             node.accumulatedData = [];
@@ -1691,6 +3029,7 @@ class FlowEditor {
             this.removeDataTable(nodeId);
             
             // Render empty table or hide table
+            this.setNodeStatus(node, null);
             console.log(`🗑️ Cleared accumulated data for table node "${node.config.name || nodeId}"`);
         }
     }
@@ -1704,7 +3043,7 @@ class FlowEditor {
         });
         
         // Clear reference from node
-        const node = this.nodes.get(nodeId);
+        const node = this.getDisplayNode(nodeId);
         if (node && node.dataTables) {
             node.dataTables = [];
         }
@@ -1785,10 +3124,11 @@ class FlowEditor {
             // Render new graph
             this.renderGraph(node);
             
+            this.setNodeStatus(node, { fill: 'green', shape: 'dot', text: `${node.graphData.length} points` });
             console.log(`✅ Chart node "${nodeName}" updated with ${node.graphData.length} points`);
             
         } catch (error) {
-            console.error(`❌ Chart node "${node.config.name || node.id}" error:`, error);
+            this.reportDisplayError(node, error, message);
         }
     }
 
@@ -2162,17 +3502,18 @@ class FlowEditor {
             }
         });
         
-        const node = this.nodes.get(nodeId);
+        const node = this.getDisplayNode(nodeId);
         if (node && node.graphs) {
             node.graphs = [];
         }
     }
 
     clearGraphData(nodeId) {
-        const node = this.nodes.get(nodeId);
+        const node = this.getDisplayNode(nodeId);
         if (node) {
             node.graphData = [];
             this.removeGraph(nodeId);
+            this.setNodeStatus(node, null);
             console.log(`🗑️ Cleared graph data for node "${node.config.name || nodeId}"`);
         }
     }
@@ -2199,10 +3540,11 @@ class FlowEditor {
             // Render new graph
             this.renderNetworkGraph(node);
             
+            this.setNodeStatus(node, { fill: 'green', shape: 'dot', text: `${node.networkData.nodes.length} nodes, ${node.networkData.edges.length} edges` });
             console.log(`✅ Graph Visualization node "${nodeName}" updated with ${node.networkData.nodes.length} nodes, ${node.networkData.edges.length} edges`);
             
         } catch (error) {
-            console.error(`❌ Graph Visualization node "${node.config.name || node.id}" error:`, error);
+            this.reportDisplayError(node, error, message);
         }
     }
 
@@ -2648,21 +3990,135 @@ class FlowEditor {
             }
         });
         
-        const node = this.nodes.get(nodeId);
+        const node = this.getDisplayNode(nodeId);
         if (node && node.networkGraphs) {
             node.networkGraphs = [];
         }
     }
 
     clearNetworkData(nodeId) {
-        const node = this.nodes.get(nodeId);
+        const node = this.getDisplayNode(nodeId);
         if (node) {
             node.networkData = { nodes: [], edges: [] };
             this.removeNetworkGraph(nodeId);
+            this.setNodeStatus(node, null);
             console.log(`🗑️ Cleared network data for node "${node.config.name || nodeId}"`);
         }
     }
 
+    // Debugger - breakpoints live in the runtime so they apply without a redeploy
+    setBreakpoint(kind, item, enabled) {
+        item.breakpoint = enabled;
+        this.runtime.setBreakpoint(kind, item.id, enabled);
+        
+        if (kind === 'link') {
+            item.element.classList.toggle('connection-breakpoint', enabled);
+            return;
+        }
+        
+        let marker = item.element.querySelector('.node-breakpoint-marker');
+        if (enabled && !marker) {
+            marker = document.createElementNS('http://www.w3.org/2000/svg', 'rect');
+            marker.setAttribute('class', 'node-breakpoint-marker');
+            marker.setAttribute('x', 4);
+            marker.setAttribute('y', item.height - 12);
+            marker.setAttribute('width', 8);
+            marker.setAttribute('height', 8);
+            item.element.appendChild(marker);
+        } else if (!enabled && marker) {
+            marker.remove();
+        }
+    }
+
+    toggleSelectedBreakpoint() {
+        if (this.selectedNode) {
+            this.setBreakpoint('node', this.selectedNode, !this.selectedNode.breakpoint);
+            this.updatePropertiesPanel(this.selectedNode);
+        } else if (this.selectedLink) {
+            this.setBreakpoint('link', this.selectedLink, !this.selectedLink.breakpoint);
+            this.updateLinkPanel(this.selectedLink);
+        }
+    }
+
+    showPausedMessage(node, link) {
+        const editorNode = this.nodes.get(node.id);
+        const editorLink = link ? this.links.get(link.id) : null;
+        
+        if (editorNode) {
+            if (editorNode.flow !== this.activeFlowId) {
+                this.switchFlow(editorNode.flow);
+            }
+            editorNode.element.classList.add('node-paused');
+        }
+        if (editorLink) {
+            editorLink.element.classList.add('connection-paused');
+        }
+        this.renderPausedPanel();
+    }
+
+    clearPausedMessage() {
+        this.nodesLayer.querySelectorAll('.node-paused').forEach(element => element.classList.remove('node-paused'));
+        this.linksLayer.querySelectorAll('.connection-paused').forEach(element => element.classList.remove('connection-paused'));
+        this.renderPausedPanel();
+    }
+
+    // Show the paused message at the top of the properties panel, whatever is selected
+    renderPausedPanel() {
+        const propertiesContent = document.getElementById('properties-content');
+        let panel = propertiesContent.querySelector('.paused-panel');
+        const paused = this.runtime.paused;
+        
+        if (!paused) {
+            if (panel) panel.remove();
+            return;
+        }
+        
+        if (!panel) {
+            panel = document.createElement('div');
+            panel.className = 'paused-panel';
+            propertiesContent.insertBefore(panel, propertiesContent.firstChild);
+        }
+        
+        const editorNode = this.nodes.get(paused.node.id);
+        const nodeName = editorNode ? (editorNode.config.name || NODE_TYPES[editorNode.type].name) : paused.node.id;
+        panel.innerHTML = `
+            <div class="paused-header">⏸ Paused before "${this.escapeHtml(nodeName)}"</div>
+            <textarea class="property-textarea paused-message">${this.escapeHtml(JSON.stringify(paused.message, null, 2))}</textarea>
+            <div class="property-error" style="display: none"></div>
+            <div class="paused-queue">${this.runtime.held.length} message(s) queued behind this one</div>
+            <div class="paused-actions">
+                <button class="paused-step" title="Step (F10)">Step</button>
+                <button class="paused-continue" title="Continue (F8)">Continue</button>
+            </div>
+        `;
+        
+        panel.querySelector('.paused-step').addEventListener('click', () => this.releasePausedMessage(true));
+        panel.querySelector('.paused-continue').addEventListener('click', () => this.releasePausedMessage(false));
+    }
+
+    // Release the paused message, with any edits made in the panel
+    releasePausedMessage(stepping) {
+        if (!this.runtime.paused) return;
+        
+        const panel = document.querySelector('.paused-panel');
+        if (panel) {
+            try {
+                this.runtime.setPausedMessage(JSON.parse(panel.querySelector('.paused-message').value));
+            } catch (error) {
+                const errorElement = panel.querySelector('.property-error');
+                errorElement.textContent = `Invalid message JSON: ${error.message}`;
+                errorElement.style.display = 'block';
+                return;
+            }
+        }
+        
+        if (stepping) {
+            this.runtime.step();
+        } else {
+            this.runtime.resume();
+        }
+    }
+
     flashNode(node) {
         if (!node || !node.element) return;
         
@@ -2673,12 +4129,258 @@ class FlowEditor {
     }
 
     showExecutionError(node, errorMessage) {
-        console.error(`Execution error in node ${node.id}:`, errorMessage);
-        // You could add visual error indication here
+        if (!node) return;
+        
+        node.executionError = errorMessage;
+        this.updateNodeProblems(node);
+        if (this.selectedNode === node) {
+            this.updatePropertiesPanel(node);
+        }
+    }
+
+    // Display nodes are drawn by the editor, so their failures are reported back to the runtime
+    reportDisplayError(node, error, message) {
+        const deployedNode = this.runtime.nodes.get(node.id);
+        if (deployedNode) {
+            this.runtime.reportError(deployedNode, error.message, message);
+        } else {
+            console.error(`❌ Node "${node.config.name || node.id}" error:`, error);
+        }
+    }
+
+    resetErrorCount(node) {
+        const deployedNode = this.runtime.nodes.get(node.id);
+        if (deployedNode) deployedNode.errorCount = 0;
+        
+        node.errorCount = 0;
+        node.executionError = null;
+        this.updateNodeProblems(node);
+        if (this.selectedNode === node) {
+            this.updatePropertiesPanel(node);
+        }
+    }
+
+    clearExecutionError(node) {
+        if (!node || !node.executionError) return;
+        
+        node.executionError = null;
+        this.updateNodeProblems(node);
+    }
+
+    // Check a node's configuration and mark the node if it is invalid.
+    // Returns the error message, or null when the configuration is fine.
+    validateNodeConfig(node) {
+        let configError = null;
+        
+        switch (node.type) {
+            case 'filter': {
+                const error = Expression.validate(node.config.condition || '');
+                if (error) {
+                    configError = `Invalid condition: ${error}`;
+                }
+                break;
+            }
+            case 'transform': {
+                const error = TransformRules.validate(node.config.rules || []);
+                if (error) {
+                    configError = `Invalid rules: ${error}`;
+                }
+                break;
+            }
+            case 'switch': {
+                const error = SwitchRules.validate(node.config.rules || []);
+                if (error) {
+                    configError = `Invalid rules: ${error}`;
+                }
+                break;
+            }
+            case 'join':
+                if (node.config.mode === 'count' && !(parseInt(node.config.count) > 0)) {
+                    configError = 'Set how many messages to join';
+                } else if (node.config.mode === 'key' && !(parseInt(node.config.count) > 0) && !(parseInt(node.config.timeout) > 0)) {
+                    configError = 'Set how many keys to join or a timeout';
+                }
+                break;
+            case 'batch':
+                if (node.config.mode === 'interval' ? !(parseInt(node.config.interval) > 0) : !(parseInt(node.config.count) > 0)) {
+                    configError = node.config.mode === 'interval' ? 'Set the batch interval' : 'Set how many messages go in a batch';
+                }
+                break;
+            case 'template': {
+                const templateError = Template.validate(node.config.template || '');
+                if (templateError) {
+                    configError = `Template: ${templateError}`;
+                }
+                break;
+            }
+            case 'output':
+                if (node.config.target === 'file') {
+                    const filenameError = Template.validate(node.config.filename || '');
+                    if (filenameError) {
+                        configError = `Filename: ${filenameError}`;
+                    } else if (node.config.rotate === 'size' && !(parseFloat(node.config.maxSize) > 0)) {
+                        configError = 'Set the size (KB) at which to rotate the file';
+                    }
+                } else if (node.config.target === 'database' && node.config.mode === 'upsert') {
+                    try {
+                        Expression.parsePath(node.config.key || 'payload.id');
+                    } catch (error) {
+                        configError = `Upsert Key Property: ${error.message}`;
+                    }
+                }
+                break;
+            case 'query':
+                if ((node.config.filter || '').trim()) {
+                    const filterError = Expression.validate(node.config.filter);
+                    if (filterError) {
+                        configError = `Filter: ${filterError}`;
+                        break;
+                    }
+                }
+                try {
+                    Expression.parsePath(node.config.sort || '');
+                    Expression.parsePath(node.config.property || 'payload');
+                } catch (error) {
+                    configError = error.message;
+                }
+                break;
+            case 'json':
+                if ((node.config.schema || '').trim()) {
+                    configError = Parsers.jsonSchema.check(node.config.schema);
+                }
+                break;
+            case 'csv':
+                if (!node.config.delimiter) {
+                    configError = 'Set the delimiter';
+                } else if ((node.config.quote || '').length > 1) {
+                    configError = 'Quote must be a single character';
+                }
+                break;
+            case 'http': {
+                const urlError = Template.validate(node.config.url || '');
+                if (urlError) {
+                    configError = `URL: ${urlError}`;
+                    break;
+                }
+                try {
+                    parseHttpHeaders(node.config.headers);
+                } catch (error) {
+                    configError = error.message;
+                }
+                break;
+            }
+            case 'websocketIn':
+            case 'websocketOut':
+                if (node.config.mode === 'listen') {
+                    const port = Number(node.config.port);
+                    if (!Number.isInteger(port) || port < 1 || port > 65535) {
+                        configError = 'Port must be a whole number from 1 to 65535';
+                    } else if (!String(node.config.path || '').startsWith('/')) {
+                        configError = 'Path must start with /';
+                    }
+                } else if (!/^wss?:\/\/\S+$/.test(node.config.url || '')) {
+                    configError = 'URL must start with ws:// or wss://';
+                }
+                break;
+            case 'delay': {
+                const mode = node.config.mode || 'delay';
+                const delay = parseInt(node.config.delay);
+                if (mode === 'delay' || mode === 'random') {
+                    if (!(delay >= 0)) {
+                        configError = 'Set the delay';
+                    } else if (mode === 'random' && !(parseInt(node.config.maxDelay) >= delay)) {
+                        configError = 'Max delay must be at least the delay';
+                    }
+                } else if (!(parseInt(node.config.rate) > 0) || !(parseInt(node.config.interval) > 0)) {
+                    configError = 'Set how many messages may pass per interval';
+                }
+                break;
+            }
+        }
+        
+        node.configError = configError;
+        this.updateNodeProblems(node);
+        return configError;
+    }
+
+    updateNodeProblems(node) {
+        if (!node.element) return;
+        
+        // Outline the node and list its problems in the tooltip
+        node.element.classList.toggle('node-invalid', !!node.configError);
+        node.element.classList.toggle('node-error', !!node.executionError);
+        
+        const problems = [];
+        if (node.configError) problems.push(node.configError);
+        if (node.executionError) problems.push(`Error: ${node.executionError}`);
+        if (node.errorCount > 0) problems.push(`${node.errorCount} error(s) since deploy - click the badge to reset`);
+        
+        this.updateErrorBadge(node);
+        
+        let title = node.element.querySelector(':scope > title');
+        if (problems.length === 0) {
+            if (title) title.remove();
+            return;
+        }
+        if (!title) {
+            title = document.createElementNS('http://www.w3.org/2000/svg', 'title');
+            node.element.appendChild(title);
+        }
+        title.textContent = problems.join('\n');
     }
 
-    addDebugOutput(node, output) {
-        // This could add output to a debug console panel
-        console.log(`Debug output from ${node.config.name || node.id}:`, output);
+    // Red badge in the top-right corner with the number of failures since the last deploy
+    updateErrorBadge(node) {
+        let badge = node.element.querySelector('.node-error-badge');
+        if (!node.errorCount) {
+            if (badge) badge.remove();
+            return;
+        }
+        
+        if (!badge) {
+            badge = document.createElementNS('http://www.w3.org/2000/svg', 'g');
+            badge.setAttribute('class', 'node-error-badge');
+            badge.setAttribute('transform', `translate(${node.width}, 0)`);
+            
+            const circle = document.createElementNS('http://www.w3.org/2000/svg', 'circle');
+            circle.setAttribute('r', '9');
+            const text = document.createElementNS('http://www.w3.org/2000/svg', 'text');
+            
+            badge.appendChild(circle);
+            badge.appendChild(text);
+            badge.addEventListener('mousedown', e => e.stopPropagation());
+            badge.addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.resetErrorCount(node);
+            });
+            node.element.appendChild(badge);
+        }
+        badge.querySelector('text').textContent = node.errorCount > 99 ? '99+' : String(node.errorCount);
+    }
+
+    // source names the node inside a subflow instance that the output came from
+    addDebugOutput(node, output, message, source) {
+        // Store the debug output in the node for display
+        if (!node.debugOutputs) {
+            node.debugOutputs = [];
+        }
+        
+        const debugEntry = {
+            timestamp: new Date().toLocaleTimeString(),
+            source: source,
+            data: output,
+            fullMessage: message
+        };
+        
+        // Keep only last 10 entries
+        node.debugOutputs.unshift(debugEntry);
+        if (node.debugOutputs.length > 10) {
+            node.debugOutputs = node.debugOutputs.slice(0, 10);
+        }
+        
+        // Update properties panel if this node is selected
+        if (this.selectedNode && this.selectedNode.id === node.id) {
+            this.updatePropertiesPanel(node);
+        }
     }
 }
\ No newline at end of file
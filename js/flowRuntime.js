@@ -0,0 +1,2369 @@
+// Flow runtime - executes flows without touching the DOM, so the same logic runs
+// inside the editor and headless under Node.js (see bin/nextlevel).
+//
+// The runtime reports what happens through events instead of drawing anything:
+//   activity (node, message)         a node received a message, or emitted one (message omitted)
+//   execute (node)                   a source node was injected by hand
+//   debug (node, output, message)    a Debug node received a message
+//   output (node, message)           an Output node received a message
+//   display (node, message)          a visualization node (chart, table, graph) received a message
+//   status (node, status)            a node's status changed ({ fill, shape, text } or null when cleared)
+//   running (node, isRunning)        a Trigger node's timer started or stopped
+//   error (node, errorMessage)       a node failed to process a message (node.errorCount counts failures)
+//   errorCleared (node)              a node that had failed processed a message successfully
+//   paused (node, message, link)     a message hit a breakpoint and is held before reaching node
+//   resumed (node)                   the held message was released or discarded
+//   held (count)                     the number of messages queued behind a paused one changed
+//   queue (node, depth, dropped)     messages waiting for a node changed (dropped counts overflow losses)
+//   loop (node, nodeIds)             a message sent by node passed the hop limit; nodeIds are the nodes it kept visiting
+const FlowRuntime = (function(deps) {
+    const { NODE_TYPES, Expression, TransformRules, SwitchRules, Template, Parsers, FunctionSandbox, ContextStore, DataStore, MessageScheduler, OVERFLOW_POLICIES, FetchHttpTransport, parseHttpHeaders, WebSocketTransport, FileWriter } = deps;
+
+    // Node types whose messages are drawn by the editor
+    const DISPLAY_TYPES = ['dataTable', 'chartNode', 'graphViz'];
+
+    // A message that keeps failing at the same node is not caught again after this many rounds
+    const MAX_CATCH_REPEATS = 10;
+
+    // Sending nodes remembered per message to explain where a runaway message went
+    const HOP_PATH_LENGTH = 20;
+
+    // WebSocket reconnect delays double from the first to the longest
+    const WEBSOCKET_RETRY_FIRST = 1000;
+    const WEBSOCKET_RETRY_LONGEST = 30000;
+
+    const STATUS_FILLS = ['red', 'green', 'yellow', 'blue', 'grey'];
+    const STATUS_SHAPES = ['dot', 'ring'];
+
+    // Query node sort order: numbers by value, anything else as text; missing values go last
+    function compareValues(a, b, direction) {
+        const aMissing = a === undefined || a === null;
+        const bMissing = b === undefined || b === null;
+        if (aMissing || bMissing) {
+            return aMissing === bMissing ? 0 : aMissing ? 1 : -1;
+        }
+        if (typeof a === 'number' && typeof b === 'number') {
+            return direction * (a - b);
+        }
+        return direction * String(a).localeCompare(String(b));
+    }
+
+    function formatInterval(ms) {
+        return ms < 1000 ? `${ms}ms` : `${parseFloat((ms / 1000).toFixed(1))}s`;
+    }
+
+    // Replace ${NAME} in the strings of a subflow node's configuration; unknown names are kept
+    function substituteParams(value, params) {
+        if (typeof value === 'string') {
+            return value.replace(/\$\{(\w+)\}/g, (match, name) =>
+                Object.prototype.hasOwnProperty.call(params, name) ? String(params[name]) : match
+            );
+        }
+        if (Array.isArray(value)) {
+            return value.map(item => substituteParams(item, params));
+        }
+        if (value && typeof value === 'object') {
+            const result = {};
+            Object.keys(value).forEach(key => {
+                result[key] = substituteParams(value[key], params);
+            });
+            return result;
+        }
+        return value;
+    }
+
+    // Delimiters are typed as text, so "\n" and "\t" stand for a newline and a tab
+    function unescapeDelimiter(delimiter) {
+        return String(delimiter === undefined ? '\\n' : delimiter).replace(/\\n/g, '\n').replace(/\\t/g, '\t');
+    }
+
+    // Milliseconds a Delay node holds a message in the delay and random modes
+    function getDelayTime(config) {
+        const delay = parseInt(config.delay);
+        if (!(delay >= 0)) {
+            throw new Error('Delay must be 0ms or more');
+        }
+        if (config.mode !== 'random') return delay;
+
+        const maxDelay = parseInt(config.maxDelay);
+        if (!(maxDelay >= delay)) {
+            throw new Error('Max delay must be at least the delay');
+        }
+        return delay + Math.floor(Math.random() * (maxDelay - delay + 1));
+    }
+
+    function getRateLimit(config) {
+        const rate = parseInt(config.rate);
+        const interval = parseInt(config.interval);
+        if (!(rate > 0)) {
+            throw new Error('Messages per interval must be at least 1');
+        }
+        if (!(interval > 0)) {
+            throw new Error('Interval must be at least 1ms');
+        }
+        return { rate, interval };
+    }
+
+    function cloneMessage(message) {
+        if (typeof structuredClone === 'function') {
+            return structuredClone(message);
+        }
+        return JSON.parse(JSON.stringify(message));
+    }
+
+    class FlowRuntime {
+        constructor(options = {}) {
+            this.nodes = new Map();
+            this.links = new Map();
+            this.listeners = new Map();
+            this.logger = options.logger || console;
+            this.functionSandbox = options.functionSandbox || new FunctionSandbox();
+
+            // Node, flow and global context; kept across deploys
+            this.context = options.contextStore || new ContextStore({ logger: this.logger });
+
+            // Collections written by Output nodes' database target and read by Query nodes
+            this.dataStore = options.dataStore || new DataStore({ logger: this.logger });
+
+            // Sends HTTP Request nodes' requests; swap in a StubHttpTransport to test flows offline
+            this.httpTransport = options.httpTransport || new FetchHttpTransport();
+
+            // Opens WebSocket In and Out nodes' connections and listening endpoints
+            this.webSocketTransport = options.webSocketTransport || new WebSocketTransport();
+
+            // Open WebSocket endpoints, keyed by FlowRuntime.getWebSocketKey()
+            this.webSockets = new Map();
+
+            // Writes Output nodes' files: to disk under Node.js, gathered for saving in the browser
+            this.fileWriter = options.fileWriter || new FileWriter();
+
+            // Running Trigger node timers, keyed by node ID
+            this.triggerTimers = new Map();
+
+            // Defaults for flows that don't set their own hop delay and queue limits
+            this.hopDelay = options.hopDelay !== undefined ? options.hopDelay : 100;
+            this.queueLimit = options.queueLimit || 100;
+            this.overflow = options.overflow || 'dropOldest';
+            this.maxHops = options.maxHops || 100;
+            this.flows = new Map();
+
+            // Message -> { hops, path, loop } for the route it took, to stop messages that go round
+            // a loop forever. Each wire gets its own copy of a message, so branches count apart;
+            // loop ({ stopped }) is shared by every message that came from the same one.
+            this.messageHops = new WeakMap();
+
+            // Every message between nodes waits in the target's queue
+            this.scheduler = new MessageScheduler({
+                logger: this.logger,
+                getSettings: nodeId => this.getFlowSettings(this.nodes.get(nodeId)),
+                deliver: delivery => this.deliver(delivery.node, delivery.message, delivery.link),
+                onDepth: (nodeId, depth) => {
+                    const node = this.nodes.get(nodeId);
+                    if (node) this.emit('queue', node, depth, node.droppedCount || 0);
+                },
+                onDrop: nodeId => this.reportDrop(this.nodes.get(nodeId))
+            });
+
+            // Debugger: breakpoint IDs, the paused message and the messages queued behind it
+            this.breakpoints = { link: new Set(), node: new Set() };
+            this.paused = null;
+            this.held = [];
+            this.stepping = false;
+        }
+
+        static getOutputCount(type, config) {
+            // Nodes with an "outputs" setting (e.g. Function) choose their own port count,
+            // and Switch nodes have one per rule
+            const nodeType = NODE_TYPES[type];
+            if (type === 'switch') {
+                return Array.isArray(config.rules) ? config.rules.length : nodeType.outputs;
+            }
+            if (config.outputs !== undefined && config.outputs !== '') {
+                const count = parseInt(config.outputs);
+                return isNaN(count) ? nodeType.outputs : Math.max(0, Math.min(count, 10));
+            }
+            return nodeType.outputs;
+        }
+
+        on(event, handler) {
+            if (!this.listeners.has(event)) {
+                this.listeners.set(event, []);
+            }
+            this.listeners.get(event).push(handler);
+            return this;
+        }
+
+        off(event, handler) {
+            const handlers = this.listeners.get(event);
+            if (handlers) {
+                this.listeners.set(event, handlers.filter(h => h !== handler));
+            }
+            return this;
+        }
+
+        emit(event, ...args) {
+            (this.listeners.get(event) || []).forEach(handler => {
+                try {
+                    handler(...args);
+                } catch (error) {
+                    this.logger.error(`Runtime "${event}" listener failed:`, error);
+                }
+            });
+        }
+
+        // Load a flow as produced by FlowEditor.exportFlow (JSON string or parsed object)
+        load(flow) {
+            const data = this.flattenSubflows(typeof flow === 'string' ? JSON.parse(flow) : flow);
+            this.stop();
+            this.flows = this.buildFlows(data);
+            this.nodes = this.buildNodes(data);
+            this.links = this.buildLinks(data, this.nodes);
+            return this;
+        }
+
+        // Drop the loaded flow
+        clear() {
+            return this.load({ nodes: [], links: [] });
+        }
+
+        // Replace each subflow instance's contents with copies of the subflow's nodes and wires.
+        // Copies are named "<instance ID>/<node ID>", run on the instance's tab and see the
+        // instance's parameters in place of ${NAME} in their configuration. The instance node
+        // stays: messages it receives go to the copied Subflow Inputs, and the copied Subflow
+        // Outputs send through its ports.
+        flattenSubflows(data) {
+            const subflows = new Map((Array.isArray(data.flows) ? data.flows : [])
+                .filter(flow => flow.type === 'subflow')
+                .map(flow => [flow.id, flow]));
+            if (subflows.size === 0) return data;
+
+            const allNodes = data.nodes || [];
+            const allLinks = data.links || [];
+            const nodeFlows = new Map(allNodes.map(node => [node.id, node.flow]));
+            const isTemplate = nodeId => subflows.has(nodeFlows.get(nodeId));
+
+            const nodes = [];
+            const links = allLinks.filter(link => !isTemplate(link.source) && !isTemplate(link.target));
+
+            allNodes.forEach(nodeData => {
+                if (subflows.has(nodeData.flow)) return;
+
+                const subflowId = FlowRuntime.getSubflowId(nodeData.type);
+                if (!subflowId) {
+                    nodes.push(nodeData);
+                    return;
+                }
+                const subflow = subflows.get(subflowId);
+                if (!subflow) {
+                    this.logger.warn(`Skipping node ${nodeData.id}: unknown subflow "${subflowId}"`);
+                    return;
+                }
+
+                const members = allNodes.filter(member => member.flow === subflowId);
+                const memberIds = new Set(members.map(member => member.id));
+                const copyId = memberId => `${nodeData.id}/${memberId}`;
+                const params = FlowRuntime.getSubflowParams(subflow, nodeData.config);
+                const entries = [];
+                let outputs = 0;
+
+                members.forEach(member => {
+                    if (FlowRuntime.getSubflowId(member.type)) {
+                        this.logger.warn(`Skipping node ${member.id}: subflows can't contain other subflows`);
+                        return;
+                    }
+                    const config = substituteParams(member.config || {}, params);
+                    // Catch and Link Out nodes point at their neighbours by ID
+                    ['nodes', 'links'].forEach(key => {
+                        if (Array.isArray(config[key])) {
+                            config[key] = config[key].map(id => memberIds.has(id) ? copyId(id) : id);
+                        }
+                    });
+
+                    if (member.type === 'subflowIn') entries.push(copyId(member.id));
+                    if (member.type === 'subflowOut') outputs = Math.max(outputs, FlowRuntime.getSubflowPort(config));
+                    nodes.push({ id: copyId(member.id), type: member.type, flow: nodeData.flow, instance: nodeData.id, config });
+                });
+
+                allLinks.forEach(link => {
+                    if (nodeFlows.get(link.source) !== subflowId || nodeFlows.get(link.target) !== subflowId) return;
+                    links.push({
+                        ...link,
+                        id: link.id ? copyId(link.id) : undefined,
+                        source: copyId(link.source),
+                        target: copyId(link.target)
+                    });
+                });
+
+                nodes.push({ ...nodeData, subflow: { inputs: entries.length > 0 ? 1 : 0, outputs, entries } });
+            });
+
+            return { ...data, nodes, links };
+        }
+
+        // Subflow instance node types are named "subflow:<subflow ID>"
+        static getSubflowId(type) {
+            return typeof type === 'string' && type.startsWith('subflow:') ? type.slice('subflow:'.length) : null;
+        }
+
+        // Parameter values of an instance: its own where set, otherwise the subflow's defaults
+        static getSubflowParams(subflow, config = {}) {
+            const params = {};
+            (subflow.params || []).forEach(param => {
+                const value = config[param.name];
+                params[param.name] = value === undefined || value === '' ? param.value : value;
+            });
+            return params;
+        }
+
+        // Subflow Output ports are numbered from 1
+        static getSubflowPort(config) {
+            return Math.max(1, parseInt(config.port) || 1);
+        }
+
+        // Per-tab message settings; unset values fall back to the runtime defaults
+        buildFlows(data) {
+            const flows = new Map();
+            (Array.isArray(data.flows) ? data.flows : []).forEach(flow => {
+                flows.set(flow.id, {
+                    hopDelay: flow.hopDelay,
+                    queueLimit: flow.queueLimit,
+                    overflow: flow.overflow,
+                    maxHops: flow.maxHops
+                });
+            });
+            return flows;
+        }
+
+        getFlowSettings(node) {
+            const flow = (node && this.flows.get(node.flow)) || {};
+            const hopDelay = parseInt(flow.hopDelay);
+            const queueLimit = parseInt(flow.queueLimit);
+            const maxHops = parseInt(flow.maxHops);
+            return {
+                hopDelay: isNaN(hopDelay) ? this.hopDelay : Math.max(0, hopDelay),
+                queueLimit: isNaN(queueLimit) ? this.queueLimit : Math.max(1, queueLimit),
+                overflow: OVERFLOW_POLICIES.includes(flow.overflow) ? flow.overflow : this.overflow,
+                maxHops: isNaN(maxHops) ? this.maxHops : Math.max(1, maxHops)
+            };
+        }
+
+        buildNodes(data) {
+            const nodes = new Map();
+
+            (data.nodes || []).forEach(nodeData => {
+                // Subflow instances bring their own port counts, see flattenSubflows
+                const nodeType = nodeData.subflow ? { defaults: {}, ...nodeData.subflow } : NODE_TYPES[nodeData.type];
+                if (!nodeType) {
+                    this.logger.warn(`Skipping node ${nodeData.id}: unknown type "${nodeData.type}"`);
+                    return;
+                }
+
+                const config = { ...nodeType.defaults, ...nodeData.config };
+                const node = {
+                    id: nodeData.id,
+                    type: nodeData.type,
+                    flow: nodeData.flow || null,
+                    config: config,
+                    inputs: nodeType.inputs,
+                    outputs: nodeData.subflow ? nodeType.outputs : FlowRuntime.getOutputCount(nodeData.type, config)
+                };
+                if (nodeData.instance) node.instance = nodeData.instance;
+                if (nodeData.subflow) node.entries = nodeData.subflow.entries;
+                nodes.set(nodeData.id, node);
+            });
+
+            return nodes;
+        }
+
+        buildLinks(data, nodes) {
+            const links = new Map();
+
+            (data.links || []).forEach((linkData, index) => {
+                if (nodes.has(linkData.source) && nodes.has(linkData.target)) {
+                    const linkId = linkData.id || `link_${index + 1}`;
+                    links.set(linkId, {
+                        id: linkId,
+                        source: linkData.source,
+                        sourcePort: linkData.sourcePort || 0,
+                        target: linkData.target,
+                        targetPort: linkData.targetPort || 0
+                    });
+                }
+            });
+
+            // Link Out nodes reach their Link In partners, on any tab, through virtual wires
+            nodes.forEach(node => {
+                if (node.type !== 'linkOut') return;
+                (node.config.links || []).forEach(targetId => {
+                    const target = nodes.get(targetId);
+                    if (!target || target.type !== 'linkIn') return;
+                    const linkId = `${node.id}:${targetId}`;
+                    links.set(linkId, { id: linkId, source: node.id, sourcePort: 0, target: targetId, targetPort: 0, virtual: true });
+                });
+            });
+
+            return links;
+        }
+
+        // Replace the running flow with `flow`. Modes:
+        //   full  - stop everything, load the new flow and start it again
+        //   nodes - only restart the nodes listed in options.changedNodes
+        //   flows - restart every node on the tabs listed in options.changedFlows
+        // Nodes that are not restarted keep their timers and state.
+        // Returns { mode, restarted (node IDs), triggers }.
+        deploy(flow, options = {}) {
+            const mode = options.mode || 'full';
+            const source = typeof flow === 'string' ? JSON.parse(flow) : flow;
+            const data = this.flattenSubflows(source);
+            this.clearRemovedContext(data);
+
+            if (mode === 'full') {
+                this.load(source);
+                return { mode, restarted: Array.from(this.nodes.keys()), triggers: this.start() };
+            }
+
+            const changedNodes = options.changedNodes || new Set();
+            const changedFlows = options.changedFlows || new Set();
+            // The copies inside a subflow instance restart with it
+            const needsRestart = node => mode === 'nodes'
+                ? changedNodes.has(node.id) || changedNodes.has(node.instance)
+                : changedFlows.has(node.flow);
+
+            this.flows = this.buildFlows(data);
+            const incoming = this.buildNodes(data);
+            const nodes = new Map();
+            const restarted = [];
+
+            // Stop nodes that are replaced or no longer exist
+            this.nodes.forEach(node => {
+                const replacement = incoming.get(node.id);
+                if (!replacement || needsRestart(node) || needsRestart(replacement)) {
+                    this.stopNode(node);
+                }
+            });
+
+            incoming.forEach((node, nodeId) => {
+                const existing = this.nodes.get(nodeId);
+                if (existing && !needsRestart(existing) && !needsRestart(node)) {
+                    nodes.set(nodeId, existing);
+                } else {
+                    nodes.set(nodeId, node);
+                    restarted.push(node);
+                }
+            });
+
+            this.nodes = nodes;
+            this.links = this.buildLinks(data, nodes);
+
+            const triggers = restarted.filter(node => this.startNode(node)).length;
+
+            // Messages for kept nodes were queued behind one that has just been discarded
+            this.releaseHeld();
+            return { mode, restarted: restarted.map(node => node.id), triggers };
+        }
+
+        // Context of nodes and tabs that are no longer part of the flow goes with them
+        clearRemovedContext(data) {
+            const keep = new Set((data.nodes || []).map(node => ContextStore.nodeScope(node.id)));
+            // Flows exported without tabs all use the default flow scope
+            const flows = Array.isArray(data.flows) ? data.flows : [{}];
+            flows.forEach(flow => keep.add(ContextStore.flowScope(flow.id)));
+
+            this.context.scopes()
+                .filter(scopeKey => scopeKey !== ContextStore.globalScope() && !keep.has(scopeKey))
+                .forEach(scopeKey => this.context.clear(scopeKey));
+        }
+
+        // Start the flow's timed sources; returns the number of triggers started
+        start() {
+            this.stop();
+            let started = 0;
+            this.nodes.forEach(node => {
+                if (this.startNode(node)) started++;
+            });
+            return started;
+        }
+
+        stop() {
+            this.nodes.forEach(node => this.stopNode(node));
+            this.scheduler.clear();
+            this.messageHops = new WeakMap();
+            this.held = [];
+            this.stepping = false;
+        }
+
+        // Stop everything, release the function sandbox and save context and stored data
+        close() {
+            this.stop();
+            this.webSockets.forEach(endpoint => this.shutdownWebSocket(endpoint));
+            this.functionSandbox.terminate();
+            return Promise.all([this.context.flush(), this.dataStore.flush()]);
+        }
+
+        // Context scope keys a node reads and writes
+        getContextScopes(node) {
+            return {
+                node: ContextStore.nodeScope(node.id),
+                flow: ContextStore.flowScope(node.flow),
+                global: ContextStore.globalScope()
+            };
+        }
+
+        // Start a node's own activity; returns true if it keeps running (e.g. a trigger timer)
+        startNode(node) {
+            // A (re)deployed node starts without a status, whatever its previous copy showed
+            node.status = null;
+            this.emit('status', node, null);
+
+            if (node.type === 'trigger') {
+                return this.startTrigger(node);
+            }
+            if (node.type === 'websocketIn' || node.type === 'websocketOut') {
+                this.openWebSocket(node);
+            }
+            return false;
+        }
+
+        stopNode(node) {
+            this.stopTrigger(node);
+            this.clearSequences(node);
+            this.clearDelay(node);
+            this.closeWebSocket(node);
+            if (node.type === 'function') {
+                this.functionSandbox.release(node.id);
+            }
+
+            // Messages still on their way to this node belong to the old run
+            this.scheduler.clearNode(node.id);
+
+            const heldCount = this.held.length;
+            this.held = this.held.filter(delivery => delivery.node.id !== node.id);
+            if (this.held.length !== heldCount) {
+                this.emit('held', this.held.length);
+            }
+            if (this.paused && this.paused.node.id === node.id) {
+                this.paused = null;
+                this.emit('resumed', node);
+            }
+        }
+
+        getSourceNodes() {
+            return Array.from(this.nodes.values()).filter(node => {
+                const nodeType = NODE_TYPES[node.type];
+                return nodeType && nodeType.category === 'input';
+            });
+        }
+
+        getInstanceSources(instance) {
+            return this.getSourceNodes().filter(node => node.instance === instance.id);
+        }
+
+        startTrigger(node) {
+            const interval = Math.max(parseInt(node.config.interval) || 1000, 10);
+            const repeat = node.config.repeat === true || node.config.repeat === 'true';
+            node.triggerCount = 0;
+
+            if (repeat) {
+                this.triggerTimers.set(node.id, setInterval(() => {
+                    if (!this.isBlocked(node)) this.executeTriggerNode(node);
+                }, interval));
+                this.setStatus(node, { fill: 'green', shape: 'dot', text: `running every ${formatInterval(interval)}` });
+            } else {
+                this.triggerTimers.set(node.id, setTimeout(() => {
+                    if (!this.isBlocked(node)) this.executeTriggerNode(node);
+                    this.stopTrigger(node);
+                    this.setStatus(node, { fill: 'grey', shape: 'dot', text: 'fired once' });
+                }, interval));
+                this.setStatus(node, { fill: 'blue', shape: 'ring', text: `fires in ${formatInterval(interval)}` });
+            }
+
+            this.emit('running', node, true);
+            this.logger.log(`⏰ Trigger node "${node.config.name || node.id}" started (${repeat ? 'every' : 'once after'} ${interval}ms)`);
+            return true;
+        }
+
+        // A message made from another (a copy, a function's result) carries on its route
+        inheritHops(message, parentMessage) {
+            const route = parentMessage && this.messageHops.get(parentMessage);
+            if (route && !this.messageHops.has(message)) {
+                this.messageHops.set(message, route);
+            }
+        }
+
+        // Give a message made from another (a split part, a joined result) an ID of its own.
+        // It carries on the other's hop count, so a loop through Split or Join is still stopped.
+        deriveMessageId(message, parentMessage) {
+            message._msgid = this.generateMessageId();
+            this.inheritHops(message, parentMessage);
+        }
+
+        stopTrigger(node) {
+            const timer = this.triggerTimers.get(node.id);
+            if (timer === undefined) return;
+
+            // clearInterval also clears timeouts, so one call covers both modes
+            clearInterval(timer);
+            this.triggerTimers.delete(node.id);
+            this.emit('running', node, false);
+            this.setStatus(node, null);
+        }
+
+        // Set the status shown under a node. Accepts { fill, shape, text }, a plain string
+        // (shown as text only) or null to clear it.
+        setStatus(node, status) {
+            let normalized = null;
+            if (typeof status === 'string' || typeof status === 'number') {
+                normalized = { fill: null, shape: null, text: String(status) };
+            } else if (status && typeof status === 'object' && (status.fill || status.shape || status.text)) {
+                normalized = {
+                    fill: STATUS_FILLS.includes(status.fill) ? status.fill : null,
+                    shape: STATUS_SHAPES.includes(status.shape) ? status.shape : 'dot',
+                    text: status.text === undefined || status.text === null ? '' : String(status.text)
+                };
+                if (!normalized.fill && !status.shape) normalized.shape = null;
+            }
+
+            if (!normalized && !node.status) return;
+            node.status = normalized;
+            this.emit('status', node, normalized);
+        }
+
+        // Record a failure and hand the message that caused it to any Catch nodes watching the node.
+        // message is omitted when a source node fails before it has built one.
+        reportError(node, errorMessage, message) {
+            node.errorCount = (node.errorCount || 0) + 1;
+            this.logger.error(`Execution error in node ${node.id}:`, errorMessage);
+            this.setStatus(node, { fill: 'red', shape: 'ring', text: 'error' });
+            node.hasErrorStatus = true;
+            this.emit('error', node, errorMessage);
+            this.routeError(node, errorMessage, message);
+        }
+
+        routeError(node, errorMessage, message) {
+            const catchNodes = Array.from(this.nodes.values()).filter(catchNode => {
+                if (catchNode.type !== 'catch') return false;
+                if (catchNode.config.scope === 'selected') {
+                    // Picking a subflow instance covers the nodes inside it
+                    const selected = catchNode.config.nodes || [];
+                    return selected.includes(node.id) || (node.instance !== undefined && selected.includes(node.instance));
+                }
+                return catchNode.flow === node.flow;
+            });
+            if (catchNodes.length === 0) return;
+
+            // Stop a Catch -> ... -> same failure loop from going round forever
+            const previous = message && message.error && message.error.source;
+            const count = previous && previous.id === node.id ? (previous.count || 1) + 1 : 1;
+            if (count > MAX_CATCH_REPEATS) {
+                this.logger.warn(`⚠️ Error from "${node.config.name || node.id}" caught ${MAX_CATCH_REPEATS} times in a row - not catching it again`);
+                return;
+            }
+
+            catchNodes.forEach(catchNode => {
+                const caught = message && typeof message === 'object' ? cloneMessage(message) : {};
+                caught.error = {
+                    message: errorMessage,
+                    source: { id: node.id, type: node.type, name: node.config.name || '', count: count }
+                };
+                if (!caught._msgid) {
+                    caught._msgid = this.generateMessageId();
+                }
+
+                this.logger.log(`🪝 Catch node "${catchNode.config.name || catchNode.id}" caught an error from "${node.config.name || node.id}"`);
+                this.emit('activity', catchNode);
+                this.send(catchNode, caught, message);
+            });
+        }
+
+        clearError(node) {
+            if (node.hasErrorStatus) {
+                node.hasErrorStatus = false;
+                this.setStatus(node, null);
+            }
+            this.emit('errorCleared', node);
+        }
+
+        // Inject a message from a source node by hand
+        executeNode(node) {
+            // Injecting a subflow instance injects the source nodes inside it
+            if (node.entries) {
+                this.getInstanceSources(node).forEach(source => this.executeNode(source));
+                return;
+            }
+            if (this.isBlocked(node)) return;
+            this.logger.log(`Executing node: ${node.id} (${node.type})`);
+            this.emit('execute', node);
+
+            switch (node.type) {
+                case 'input':
+                    this.executeInputNode(node);
+                    break;
+                case 'trigger':
+                    this.executeTriggerNode(node);
+                    break;
+                case 'exampleData':
+                    this.executeExampleDataNode(node);
+                    break;
+                case 'networkDataSim':
+                    this.executeNetworkDataSimNode(node);
+                    break;
+            }
+        }
+
+        // Convert a configured text value into the given data type
+        parseTypedValue(rawValue, dataType) {
+            const raw = rawValue === undefined || rawValue === null ? '' : String(rawValue);
+
+            switch (dataType) {
+                case 'string':
+                    return raw;
+                case 'number':
+                    return parseFloat(raw) || 0;
+                case 'boolean':
+                    return raw.toLowerCase() === 'true';
+                case 'object':
+                case 'array':
+                case 'json':
+                    return JSON.parse(raw);
+                case 'timestamp':
+                    return Date.now();
+                default:
+                    return raw;
+            }
+        }
+
+        executeTriggerNode(node) {
+            node.triggerCount = (node.triggerCount || 0) + 1;
+            const now = new Date();
+
+            const message = {
+                payload: {
+                    timestamp: now.toISOString(),
+                    count: node.triggerCount
+                },
+                topic: node.config.name || 'trigger',
+                timestamp: now.toISOString(),
+                count: node.triggerCount,
+                _msgid: this.generateMessageId()
+            };
+
+            this.emit('activity', node);
+            this.send(node, message);
+        }
+
+        executeInputNode(node) {
+            try {
+                const payload = this.parseTypedValue(node.config.value, node.config.valueType || 'string');
+
+                const message = {
+                    payload: payload,
+                    topic: node.config.name || 'input',
+                    timestamp: new Date().toISOString(),
+                    source: node.id,
+                    _msgid: this.generateMessageId()
+                };
+
+                this.emit('activity', node);
+                this.send(node, message);
+
+                this.logger.log(`📥 Input node "${node.config.name || node.id}" injected a ${node.config.valueType || 'string'} value`);
+            } catch (error) {
+                this.reportError(node, error.message);
+            }
+        }
+
+        executeExampleDataNode(node) {
+            try {
+                const payload = this.parseTypedValue(node.config.payload, node.config.dataType || 'object');
+
+                const message = {
+                    payload: payload,
+                    topic: node.config.name || 'exampleData',
+                    timestamp: new Date().toISOString(),
+                    source: node.id
+                };
+
+                // Visual feedback - flash the node
+                this.emit('activity', node);
+
+                // Send message to connected nodes
+                this.send(node, message);
+
+                // Only log that execution started, not the data itself
+                this.logger.log(`Example Data node "${node.config.name || node.id}" executed - sending data to connected nodes`);
+
+            } catch (error) {
+                this.reportError(node, error.message);
+            }
+        }
+
+        executeNetworkDataSimNode(node) {
+            try {
+                const config = node.config || {};
+                const networkType = config.networkType || 'social';
+                const nodeCount = parseInt(config.nodeCount) || 8;
+                const connectivity = parseFloat(config.connectivity) || 0.3;
+                const includeAttributes = config.includeAttributes !== false;
+
+                const networkData = this.generateNetworkData(networkType, nodeCount, connectivity, includeAttributes);
+
+                // Create proper message format with payload
+                const message = {
+                    payload: networkData,
+                    topic: 'network-simulation',
+                    timestamp: new Date().toISOString(),
+                    _msgid: this.generateMessageId()
+                };
+
+                // Send the network data to connected nodes
+                this.send(node, message);
+
+                // Visual feedback - flash the node
+                this.emit('activity', node);
+
+                this.logger.log(`🔗 Network Data Simulation node "${node.config?.name || node.id}" executed - sending ${networkData.nodes.length} nodes and ${networkData.edges.length} edges to connected nodes`);
+
+            } catch (error) {
+                this.reportError(node, error.message);
+            }
+        }
+
+        generateNetworkData(networkType, nodeCount, connectivity, includeAttributes) {
+            const nodes = [];
+            const links = [];
+
+            // Generate network nodes based on type
+            if (networkType === 'social') {
+                const socialRoles = ['Friend', 'Family', 'Colleague', 'Acquaintance', 'Neighbor'];
+                const names = ['Alice', 'Bob', 'Charlie', 'Diana', 'Eve', 'Frank', 'Grace', 'Henry', 'Iris', 'Jack'];
+
+                for (let i = 0; i < nodeCount; i++) {
+                    const node = {
+                        id: `person_${i}`,
+                        label: names[i] || `Person ${i}`,
+                        type: 'person'
+                    };
+
+                    if (includeAttributes) {
+                        node.role = socialRoles[Math.floor(Math.random() * socialRoles.length)];
+                        node.age = Math.floor(Math.random() * 60) + 18;
+                        node.influence = Math.floor(Math.random() * 100);
+                    }
+
+                    nodes.push(node);
+                }
+            } else if (networkType === 'organizational') {
+                const departments = ['Engineering', 'Marketing', 'Sales', 'HR', 'Finance'];
+                const positions = ['Manager', 'Director', 'Analyst', 'Specialist', 'Coordinator'];
+
+                for (let i = 0; i < nodeCount; i++) {
+                    const node = {
+                        id: `emp_${i}`,
+                        label: `Employee ${i + 1}`,
+                        type: 'employee'
+                    };
+
+                    if (includeAttributes) {
+                        node.department = departments[Math.floor(Math.random() * departments.length)];
+                        node.position = positions[Math.floor(Math.random() * positions.length)];
+                        node.experience = Math.floor(Math.random() * 20) + 1;
+                        node.salary = Math.floor(Math.random() * 100000) + 40000;
+                    }
+
+                    nodes.push(node);
+                }
+            } else if (networkType === 'technical') {
+                const techTypes = ['Server', 'Database', 'API', 'Frontend', 'Gateway', 'Cache', 'Queue', 'Service'];
+
+                for (let i = 0; i < nodeCount; i++) {
+                    const node = {
+                        id: `tech_${i}`,
+                        label: `${techTypes[i % techTypes.length]}-${Math.floor(i / techTypes.length) + 1}`,
+                        type: 'component'
+                    };
+
+                    if (includeAttributes) {
+                        node.status = Math.random() > 0.8 ? 'down' : 'up';
+                        node.load = Math.floor(Math.random() * 100);
+                        node.memory = Math.floor(Math.random() * 16) + 1; // GB
+                        node.cpu = Math.floor(Math.random() * 100);
+                    }
+
+                    nodes.push(node);
+                }
+            } else { // random
+                for (let i = 0; i < nodeCount; i++) {
+                    const node = {
+                        id: `node_${i}`,
+                        label: `Node ${i + 1}`,
+                        type: 'generic'
+                    };
+
+                    if (includeAttributes) {
+                        node.value = Math.floor(Math.random() * 1000);
+                        node.category = ['A', 'B', 'C'][Math.floor(Math.random() * 3)];
+                        node.weight = parseFloat((Math.random() * 10).toFixed(2));
+                    }
+
+                    nodes.push(node);
+                }
+            }
+
+            // Generate links based on connectivity
+            const maxPossibleLinks = (nodeCount * (nodeCount - 1)) / 2;
+            const targetLinkCount = Math.floor(maxPossibleLinks * connectivity);
+
+            const usedPairs = new Set();
+
+            for (let i = 0; i < targetLinkCount; i++) {
+                let source, target, pairKey;
+                let attempts = 0;
+
+                do {
+                    source = Math.floor(Math.random() * nodeCount);
+                    target = Math.floor(Math.random() * nodeCount);
+                    pairKey = `${Math.min(source, target)}-${Math.max(source, target)}`;
+                    attempts++;
+
+                    if (attempts > targetLinkCount * 2) break; // Prevent infinite loop
+                } while (source === target || usedPairs.has(pairKey));
+
+                if (source !== target && !usedPairs.has(pairKey)) {
+                    usedPairs.add(pairKey);
+
+                    const link = {
+                        source: nodes[source].id,
+                        target: nodes[target].id
+                    };
+
+                    if (includeAttributes) {
+                        link.weight = parseFloat((Math.random() * 10 + 1).toFixed(2));
+                        if (networkType === 'social') {
+                            link.relationship = ['friend', 'family', 'colleague'][Math.floor(Math.random() * 3)];
+                        } else if (networkType === 'organizational') {
+                            link.reportingLine = Math.random() > 0.7;
+                        } else if (networkType === 'technical') {
+                            link.protocol = ['HTTP', 'TCP', 'UDP', 'WebSocket'][Math.floor(Math.random() * 4)];
+                            link.latency = Math.floor(Math.random() * 100) + 1; // ms
+                        }
+                    }
+
+                    links.push(link);
+                }
+            }
+
+            return {
+                nodes,
+                edges: links,  // Changed from 'links' to 'edges' to match Graph Viz expectation
+                metadata: {
+                    networkType,
+                    nodeCount,
+                    linkCount: links.length,
+                    connectivity,
+                    generated: new Date().toISOString()
+                }
+            };
+        }
+
+        generateMessageId() {
+            return Math.random().toString(36).substr(2, 9) + Date.now().toString(36);
+        }
+
+        // Send a node's output. A single message goes out of port 0; an array holds one entry
+        // per output port, and an array inside that sends several messages on the same port.
+        // null or undefined entries send nothing. Messages built from parentMessage keep its
+        // route for hop counting, and its _msgid unless they have their own.
+        send(node, output, parentMessage) {
+            if (output === null || output === undefined) return;
+
+            const portOutputs = Array.isArray(output) ? output : [output];
+            portOutputs.forEach((portOutput, port) => {
+                if (portOutput === null || portOutput === undefined) return;
+                if (port >= node.outputs) {
+                    this.logger.warn(`"${node.config.name || node.id}" has no output ${port + 1} - message dropped`);
+                    return;
+                }
+
+                const messages = Array.isArray(portOutput) ? portOutput : [portOutput];
+                messages.forEach(message => {
+                    if (message !== null && typeof message === 'object') {
+                        if (parentMessage) {
+                            if (!message._msgid && parentMessage._msgid) {
+                                message._msgid = parentMessage._msgid;
+                            }
+                            this.inheritHops(message, parentMessage);
+                        }
+                        this.sendMessage(node, message, port);
+                    }
+                });
+            });
+        }
+
+        // Deliver one message to the links leaving a single output port
+        sendMessage(sourceNode, message, port = 0) {
+            const outgoingLinks = Array.from(this.links.values()).filter(link =>
+                link.source === sourceNode.id && link.sourcePort === port
+            );
+            if (!message._msgid) {
+                message._msgid = this.generateMessageId();
+            }
+
+            const route = this.messageHops.get(message) || { hops: 0, path: [], loop: { stopped: false } };
+            // The first wire gets the message itself, every other wire a deep copy,
+            // so a node that changes its message cannot reach into another branch
+            outgoingLinks.forEach((link, index) => {
+                const targetNode = this.nodes.get(link.target);
+                if (!targetNode) return;
+                const delivered = index === 0 ? Object.assign({}, message) : cloneMessage(message);
+                if (this.countHop(sourceNode, targetNode, delivered, route)) {
+                    this.scheduler.enqueue({ node: targetNode, message: delivered, link, sourceId: sourceNode.id });
+                }
+            });
+
+            // Log the message flow
+            const source = sourceNode.outputs > 1 ? `"${sourceNode.config.name || sourceNode.id}" output ${port + 1}` : `"${sourceNode.config.name || sourceNode.id}"`;
+            if (outgoingLinks.length > 0) {
+                this.logger.log(`💫 Data flowing from ${source} to ${outgoingLinks.length} connected node(s)`);
+            } else {
+                this.logger.log(`⚠️ No connections from ${source} - data not forwarded`);
+            }
+        }
+
+        // Count the hop of a message copy onto one wire, on from the route the sent message took;
+        // returns false once it has passed its flow's hop limit
+        countHop(sourceNode, targetNode, message, route) {
+            if (route.loop.stopped) return false;
+
+            const hops = route.hops + 1;
+            const path = route.path.concat(sourceNode.id).slice(-HOP_PATH_LENGTH);
+            this.messageHops.set(message, { hops, path, loop: route.loop });
+
+            const maxHops = this.getFlowSettings(targetNode).maxHops;
+            if (hops <= maxHops) return true;
+
+            // Report once; copies of the message still on other wires are stopped quietly.
+            // The nodes that kept sending it are the loop; the rest only passed it on.
+            route.loop.stopped = true;
+            const repeated = path.filter((nodeId, index) => path.indexOf(nodeId) !== index);
+            const nodeIds = Array.from(new Set(repeated.length > 0 ? repeated : path));
+            const names = nodeIds.map(nodeId => {
+                const node = this.nodes.get(nodeId);
+                return node ? `"${node.config.name || node.id}"` : `"${nodeId}"`;
+            });
+            this.emit('loop', sourceNode, nodeIds);
+            this.reportError(sourceNode, `Message stopped after ${maxHops} hops - it kept going through ${names.join(', ')}`);
+            return false;
+        }
+
+        // A source whose messages wait for room in a full queue (block policy) sends nothing more
+        isBlocked(node) {
+            if (!this.scheduler.isBlocked(node.id)) return false;
+            this.logger.warn(`⚠️ "${node.config.name || node.id}" is blocked by a full queue - inject skipped`);
+            return true;
+        }
+
+        // Count a message lost to a full queue; warn on the first and then every hundredth
+        reportDrop(node) {
+            if (!node) return;
+            node.droppedCount = (node.droppedCount || 0) + 1;
+            if (node.droppedCount === 1 || node.droppedCount % 100 === 0) {
+                this.logger.warn(`⚠️ Queue for "${node.config.name || node.id}" is full - ${node.droppedCount} message(s) dropped`);
+            }
+            this.emit('queue', node, this.scheduler.depth(node.id), node.droppedCount);
+        }
+
+        // Hand a message to its target node unless the debugger holds it. Returns a promise
+        // while the node is still working on the message.
+        deliver(node, message, link) {
+            if (this.paused) {
+                this.held.push({ node, message, link });
+                this.emit('held', this.held.length);
+                return;
+            }
+
+            const atBreakpoint = (link && this.breakpoints.link.has(link.id)) || this.breakpoints.node.has(node.id);
+            if (this.stepping || atBreakpoint) {
+                this.stepping = false;
+                this.paused = { node, message, link };
+                this.logger.log(`⏸️ Paused before "${node.config.name || node.id}"`);
+                this.emit('paused', node, message, link);
+                return;
+            }
+
+            return this.receiveMessage(node, message, link);
+        }
+
+        // kind is 'link' or 'node'. Breakpoints are kept across deploys.
+        setBreakpoint(kind, id, enabled) {
+            const breakpoints = this.breakpoints[kind];
+            if (!breakpoints) {
+                throw new Error(`Unknown breakpoint kind "${kind}"`);
+            }
+            if (enabled) {
+                breakpoints.add(id);
+            } else {
+                breakpoints.delete(id);
+            }
+        }
+
+        clearBreakpoints() {
+            this.breakpoints.link.clear();
+            this.breakpoints.node.clear();
+        }
+
+        // Replace the paused message before it is released
+        setPausedMessage(message) {
+            if (this.paused) {
+                if (message && typeof message === 'object') this.inheritHops(message, this.paused.message);
+                this.paused.message = message;
+            }
+        }
+
+        // Release the paused message and run until the next breakpoint
+        resume() {
+            this.release(false);
+        }
+
+        // Release the paused message and pause again when the next message arrives anywhere
+        step() {
+            this.release(true);
+        }
+
+        release(stepping) {
+            if (!this.paused) return;
+
+            const { node, message, link } = this.paused;
+            this.paused = null;
+            this.emit('resumed', node);
+            this.receiveMessage(node, message, link);
+
+            this.stepping = stepping;
+            this.releaseHeld();
+        }
+
+        // Deliver queued messages in arrival order until one of them pauses again
+        releaseHeld() {
+            if (this.paused || this.held.length === 0) return;
+
+            while (this.held.length > 0 && !this.paused) {
+                const delivery = this.held.shift();
+                this.deliver(delivery.node, delivery.message, delivery.link);
+            }
+            this.emit('held', this.held.length);
+        }
+
+        receiveMessage(node, message, link) {
+            // Let listeners show the data flow
+            this.emit('activity', node, message);
+
+            // Handle different node types - let them process the message
+            try {
+                return this.dispatchMessage(node, message);
+            } catch (error) {
+                this.reportError(node, error.message, message);
+            }
+        }
+
+        dispatchMessage(node, message) {
+            switch (node.type) {
+                case 'debug':
+                    this.executeDebugNode(node, message);
+                    break;
+                case 'output':
+                    return this.executeOutputNode(node, message);
+                case 'function':
+                    return this.executeFunctionNode(node, message);
+                case 'filter':
+                    this.executeFilterNode(node, message);
+                    break;
+                case 'transform':
+                    this.executeTransformNode(node, message);
+                    break;
+                case 'switch':
+                    this.executeSwitchNode(node, message);
+                    break;
+                case 'template':
+                    this.executeTemplateNode(node, message);
+                    break;
+                case 'query':
+                    this.executeQueryNode(node, message);
+                    break;
+                case 'json':
+                    this.executeJsonNode(node, message);
+                    break;
+                case 'csv':
+                    this.executeCsvNode(node, message);
+                    break;
+                case 'xml':
+                    this.executeXmlNode(node, message);
+                    break;
+                case 'linkOut':
+                    this.sendMessage(node, message, 0);
+                    break;
+                case 'linkIn':
+                    this.send(node, message);
+                    break;
+                case 'split':
+                    this.executeSplitNode(node, message);
+                    break;
+                case 'join':
+                    this.executeJoinNode(node, message);
+                    break;
+                case 'batch':
+                    this.executeBatchNode(node, message);
+                    break;
+                case 'http':
+                    return this.executeHttpNode(node, message);
+                case 'websocketOut':
+                    this.executeWebSocketOutNode(node, message);
+                    break;
+                case 'delay':
+                    this.executeDelayNode(node, message);
+                    break;
+                case 'subflowOut': {
+                    const instance = this.nodes.get(node.instance);
+                    if (instance) this.sendMessage(instance, message, FlowRuntime.getSubflowPort(node.config) - 1);
+                    break;
+                }
+                default:
+                    if (node.entries) {
+                        // A subflow instance hands the message to its copied Subflow Inputs
+                        node.entries.forEach(entryId => {
+                            const entry = this.nodes.get(entryId);
+                            if (entry) this.sendMessage(entry, message, 0);
+                        });
+                    } else if (DISPLAY_TYPES.includes(node.type)) {
+                        this.emit('display', node, message);
+                    } else {
+                        this.logger.log(`Node ${node.id} (${node.type}) received message but no handler defined`);
+                    }
+            }
+        }
+
+        executeDebugNode(node, message) {
+            const output = node.config.complete === 'payload' ? message.payload : message;
+            if (node.config.console !== false) {
+                this.logger.log(`[DEBUG ${node.config.name || node.id}]:`, output);
+            }
+            this.emit('debug', node, output, message);
+        }
+
+        executeOutputNode(node, message) {
+            const nodeName = node.config.name || node.id;
+            const target = node.config.target || 'console';
+
+            this.logger.log(`[OUTPUT ${nodeName}] Target: ${target}`);
+            this.logger.log(`[OUTPUT ${nodeName}] Data:`, message.payload);
+            this.logger.log(`[OUTPUT ${nodeName}] Full Message:`, message);
+
+            // Handle different output targets
+            let writing;
+            switch (target) {
+                case 'console':
+                    this.logger.log(`📤 Console Output from ${nodeName}:`, message.payload);
+                    break;
+                case 'file':
+                    writing = this.writeOutputFile(node, message);
+                    break;
+                case 'database':
+                    this.storeOutputRecord(node, message);
+                    break;
+                default:
+                    this.logger.log(`📤 Output from ${nodeName}:`, message.payload);
+            }
+
+            this.emit('output', node, message);
+            return writing;
+        }
+
+        // JSON Lines write one line per message; CSV writes a row per object in msg.payload (or
+        // per item of an array), with a header row whenever the file starts out empty
+        writeOutputFile(node, message) {
+            const config = node.config;
+            const nodeName = config.name || node.id;
+            const filename = this.getOutputFilename(node, message);
+            const entry = {
+                append: config.append !== false && config.append !== 'false',
+                rotate: config.rotate || 'none',
+                maxSize: (parseFloat(config.maxSize) || 0) * 1024,
+                header: ''
+            };
+
+            if (config.format === 'csv') {
+                const rows = Array.isArray(message.payload) ? message.payload : [message.payload];
+                // Without configured columns, later rows keep the first message's columns
+                let columns = config.columns || node.fileColumns;
+                if (!columns) {
+                    columns = [];
+                    rows.forEach(row => {
+                        if (row && typeof row === 'object' && !Array.isArray(row)) {
+                            Object.keys(row).forEach(key => {
+                                if (!columns.includes(key)) columns.push(key);
+                            });
+                        }
+                    });
+                    if (columns.length > 0) node.fileColumns = columns;
+                }
+                entry.header = columns.length > 0 ? Parsers.csv.stringify([], { columns }) : '';
+                entry.text = Parsers.csv.stringify(rows, { columns, header: false });
+            } else {
+                entry.text = JSON.stringify(message.payload === undefined ? null : message.payload) + '\n';
+            }
+
+            return this.fileWriter.write(filename, entry).then(() => {
+                node.outputFiles = node.outputFiles || new Set();
+                node.outputFiles.add(filename);
+                node.fileWrites = (node.fileWrites || 0) + 1;
+                this.clearError(node);
+                this.setStatus(node, { fill: 'green', shape: 'dot', text: `${node.fileWrites} written to ${filename}` });
+                this.logger.log(`📁 Output node "${nodeName}" wrote to ${filename}`);
+            }).catch(error => {
+                this.reportError(node, error.message, message);
+            });
+        }
+
+        // Insert msg.payload as a new record, or upsert it under the key at the Upsert Key Property
+        storeOutputRecord(node, message) {
+            const config = node.config;
+            const collection = config.collection || 'data';
+            if (message.payload === undefined) {
+                throw new Error('msg.payload is empty - nothing to store');
+            }
+
+            let key;
+            if (config.mode === 'upsert') {
+                const keyProperty = config.key || 'payload.id';
+                key = Expression.getPath(message, keyProperty);
+                if (key === undefined || key === null || key === '') {
+                    throw new Error(`No ${keyProperty} to upsert by`);
+                }
+                key = typeof key === 'object' ? JSON.stringify(key) : String(key);
+                this.dataStore.upsert(collection, key, message.payload);
+            } else {
+                key = this.dataStore.insert(collection, message.payload);
+            }
+
+            this.clearError(node);
+            this.setStatus(node, { fill: 'green', shape: 'dot', text: `${this.dataStore.count(collection)} in ${collection}` });
+            this.logger.log(`🗄️ Output node "${config.name || node.id}" stored record ${key} in ${collection}`);
+        }
+
+        // Template values, raw ones included, can't add folders to the name or leave the folder it names
+        getOutputFilename(node, message) {
+            const source = node.config.filename || 'output.jsonl';
+            if (!node.compiledFilename || node.compiledFilename.source !== source) {
+                node.compiledFilename = { source, tree: Template.parse(source) };
+            }
+
+            const now = new Date().toISOString();
+            const view = Object.assign({ date: now.slice(0, 10), time: now.slice(11, 19).replace(/:/g, '-') }, message);
+            const filename = Template.render(node.compiledFilename.tree, view, {
+                escape: text => text.replace(/[\\/:*?"<>|\u0000-\u001f]/g, '_').replace(/^\.+$/, '_'),
+                escapeAll: true
+            }).trim();
+            if (!filename) {
+                throw new Error('The filename is empty');
+            }
+            return filename;
+        }
+
+        executeFunctionNode(node, message) {
+            const nodeName = node.config.name || node.id;
+            this.logger.log(`⚙️ Function node "${nodeName}" processing message...`);
+
+            const scopes = this.getContextScopes(node);
+
+            // Run the user code in the sandbox; node.send() may emit messages before it returns
+            return this.functionSandbox.run(node.config.func || 'return msg;', message, {
+                node: { id: node.id, name: node.config.name || '' },
+                context: {
+                    node: this.context.scopeData(scopes.node),
+                    flow: this.context.scopeData(scopes.flow),
+                    global: this.context.scopeData(scopes.global)
+                },
+                timeout: node.config.timeout,
+                onSend: result => this.send(node, result, message),
+                onStatus: status => {
+                    node.hasErrorStatus = false;
+                    this.setStatus(node, status);
+                },
+                onWarn: text => this.logger.warn(`⚠️ Function node "${nodeName}":`, text),
+                onError: text => this.reportError(node, text, message)
+            }).then(({ result, changes }) => {
+                this.context.applyChanges(changes, scopes);
+                this.clearError(node);
+                this.logger.log(`✅ Function node "${nodeName}" completed processing`);
+
+                // Pass the result to connected nodes
+                this.send(node, result, message);
+            }).catch(error => {
+                this.reportError(node, error.message, message);
+            });
+        }
+
+        executeFilterNode(node, message) {
+            const nodeName = node.config.name || node.id;
+
+            try {
+                // Conditions are checked when the node is configured, so only parse on change
+                const condition = node.config.condition || '';
+                if (!node.compiledCondition || node.compiledCondition.source !== condition) {
+                    node.compiledCondition = { source: condition, ast: Expression.parse(condition) };
+                }
+
+                const scopes = this.getContextScopes(node);
+                const passed = Expression.evaluate(node.compiledCondition.ast, {
+                    msg: message,
+                    context: this.context.scopeData(scopes.node),
+                    flow: this.context.scopeData(scopes.flow),
+                    global: this.context.scopeData(scopes.global)
+                });
+                if (passed) {
+                    this.logger.log(`🔍 Filter node "${nodeName}" passed message`);
+                    this.send(node, message);
+                } else {
+                    this.logger.log(`🔍 Filter node "${nodeName}" dropped message`);
+                }
+            } catch (error) {
+                this.reportError(node, error.message, message);
+            }
+        }
+
+        executeSwitchNode(node, message) {
+            const nodeName = node.config.name || node.id;
+
+            try {
+                const matched = SwitchRules.route(message, node.config.rules || [], {
+                    property: node.config.property || 'payload',
+                    checkAll: node.config.match === 'all'
+                });
+                if (matched.length === 0) {
+                    this.logger.log(`🔀 Switch node "${nodeName}" matched no rule - message dropped`);
+                    return;
+                }
+
+                this.logger.log(`🔀 Switch node "${nodeName}" matched rule(s) ${matched.map(index => index + 1).join(', ')}`);
+                const output = [];
+                matched.forEach(index => {
+                    output[index] = message;
+                });
+                this.send(node, output);
+            } catch (error) {
+                this.reportError(node, error.message, message);
+            }
+        }
+
+        executeTransformNode(node, message) {
+            const nodeName = node.config.name || node.id;
+
+            try {
+                const rules = node.config.rules || [];
+                const result = TransformRules.apply(message, rules, { property: node.config.property || 'payload' });
+                this.logger.log(`🔄 Transform node "${nodeName}" applied ${rules.length} rule(s)`);
+                this.send(node, result, message);
+            } catch (error) {
+                this.reportError(node, error.message, message);
+            }
+        }
+
+        executeTemplateNode(node, message) {
+            const nodeName = node.config.name || node.id;
+
+            try {
+                const result = cloneMessage(message);
+                Expression.setPath(result, node.config.property || 'payload', this.renderTemplate(node, message));
+                this.logger.log(`📝 Template node "${nodeName}" rendered ${node.config.property || 'payload'}`);
+                this.send(node, result, message);
+            } catch (error) {
+                this.reportError(node, error.message, message);
+            }
+        }
+
+        // Set the node's property to the matching records. The filter is an expression like a
+        // Filter node's condition, with each stored record as `record`.
+        executeQueryNode(node, message) {
+            const config = node.config;
+            const collection = config.collection || 'data';
+            const filter = (config.filter || '').trim();
+            if (filter && (!node.compiledFilter || node.compiledFilter.source !== filter)) {
+                node.compiledFilter = { source: filter, ast: Expression.parse(filter) };
+            }
+            const sortKeys = (config.sort || '').trim() ? Expression.parsePath(config.sort.trim()) : null;
+            const direction = config.order === 'desc' ? -1 : 1;
+
+            const scopes = this.getContextScopes(node);
+            const scope = {
+                msg: message,
+                context: this.context.scopeData(scopes.node),
+                flow: this.context.scopeData(scopes.flow),
+                global: this.context.scopeData(scopes.global)
+            };
+            const records = this.dataStore.find(collection, {
+                filter: filter ? record => Expression.evaluate(node.compiledFilter.ast, Object.assign({ record }, scope)) : null,
+                compare: sortKeys ? (a, b) => compareValues(Expression.getPath(a, sortKeys), Expression.getPath(b, sortKeys), direction) : null,
+                limit: parseInt(config.limit) || 0
+            });
+
+            const result = cloneMessage(message);
+            Expression.setPath(result, config.property || 'payload', records);
+            this.clearError(node);
+            this.setStatus(node, { fill: 'green', shape: 'dot', text: `${records.length} record${records.length === 1 ? '' : 's'}` });
+            this.logger.log(`🔎 Query node "${config.name || node.id}" found ${records.length} record(s) in ${collection}`);
+            this.send(node, result, message);
+        }
+
+        // Render a Template node's template against a message; the editor uses this for its preview.
+        // Names are looked up on the message, then flow.x, global.x and context.x read context.
+        renderTemplate(node, message) {
+            const source = node.config.template || '';
+            if (!node.compiledTemplate || node.compiledTemplate.source !== source) {
+                node.compiledTemplate = { source, tree: Template.parse(source) };
+            }
+
+            const scopes = this.getContextScopes(node);
+            const text = Template.render(node.compiledTemplate.tree, Object.assign({}, message, {
+                context: this.context.scopeData(scopes.node),
+                flow: this.context.scopeData(scopes.flow),
+                global: this.context.scopeData(scopes.global)
+            }));
+            if (node.config.output !== 'json') return text;
+
+            try {
+                return JSON.parse(text);
+            } catch (error) {
+                throw new Error(`Template result is not valid JSON: ${error.message}`);
+            }
+        }
+
+        // Parser nodes parse text into data or write data out as text. The auto action parses
+        // strings and writes out anything else.
+        getParserAction(node, value) {
+            const action = node.config.action || 'auto';
+            if (action !== 'auto') return action;
+            return typeof value === 'string' ? 'parse' : 'stringify';
+        }
+
+        sendParsed(node, message, value) {
+            const result = cloneMessage(message);
+            Expression.setPath(result, node.config.property || 'payload', value);
+            this.send(node, result, message);
+        }
+
+        // Data that is parsed, or about to be written out, is checked against the optional schema
+        executeJsonNode(node, message) {
+            const property = node.config.property || 'payload';
+            let value = Expression.getPath(message, property);
+            const action = this.getParserAction(node, value);
+
+            if (action === 'parse' && typeof value === 'string') {
+                try {
+                    value = JSON.parse(value);
+                } catch (error) {
+                    throw new Error(`${property} is not valid JSON: ${error.message}`);
+                }
+            }
+
+            const source = (node.config.schema || '').trim();
+            if (source) {
+                if (!node.compiledSchema || node.compiledSchema.source !== source) {
+                    node.compiledSchema = { source, schema: JSON.parse(source) };
+                }
+                const problems = Parsers.jsonSchema.validate(value, node.compiledSchema.schema, property);
+                if (problems.length > 0) {
+                    throw new Error(`Schema validation failed: ${problems.join('; ')}`);
+                }
+            }
+
+            if (action === 'stringify') {
+                const pretty = node.config.pretty === true || node.config.pretty === 'true';
+                value = JSON.stringify(value, null, pretty ? 2 : undefined);
+            }
+            this.logger.log(`🧾 JSON node "${node.config.name || node.id}" ${action === 'parse' ? 'parsed' : 'wrote'} ${property}`);
+            this.sendParsed(node, message, value);
+        }
+
+        getCsvOptions(config) {
+            const quote = config.quote === undefined ? '"' : config.quote;
+            return {
+                delimiter: unescapeDelimiter(config.delimiter || ','),
+                quote,
+                header: config.header !== false && config.header !== 'false',
+                columns: config.columns,
+                coerce: config.coerce !== false && config.coerce !== 'false'
+            };
+        }
+
+        // Parsing gives an array of row objects, or one message per row (a sequence a Join node
+        // can rebuild). Rows of a sequence are written without repeating the header row.
+        executeCsvNode(node, message) {
+            const property = node.config.property || 'payload';
+            const value = Expression.getPath(message, property);
+            const options = this.getCsvOptions(node.config);
+            const nodeName = node.config.name || node.id;
+
+            if (this.getParserAction(node, value) === 'stringify') {
+                if (message.parts && message.parts.index > 0 && !Array.isArray(value)) {
+                    options.header = false;
+                }
+                this.logger.log(`📑 CSV node "${nodeName}" wrote ${property} as CSV`);
+                this.sendParsed(node, message, Parsers.csv.stringify(value, options));
+                return;
+            }
+
+            if (typeof value !== 'string') {
+                throw new Error(`${property} is not CSV text`);
+            }
+            const rows = Parsers.csv.parse(value, options);
+            this.logger.log(`📑 CSV node "${nodeName}" parsed ${rows.length} row(s)`);
+            if (node.config.output !== 'messages') {
+                this.sendParsed(node, message, rows);
+                return;
+            }
+
+            const rest = cloneMessage(message);
+            Expression.deletePath(rest, property);
+            const id = this.generateMessageId();
+            this.send(node, [rows.map((row, index) => {
+                const part = cloneMessage(rest);
+                Expression.setPath(part, property, row);
+                part.parts = { id, index, count: rows.length, type: 'array', property };
+                if (message.parts) part.parts.parts = message.parts;
+                this.deriveMessageId(part, message);
+                return part;
+            })]);
+        }
+
+        executeXmlNode(node, message) {
+            const property = node.config.property || 'payload';
+            const value = Expression.getPath(message, property);
+
+            if (this.getParserAction(node, value) === 'stringify') {
+                const pretty = node.config.pretty === true || node.config.pretty === 'true';
+                this.logger.log(`🏷️ XML node "${node.config.name || node.id}" wrote ${property} as XML`);
+                this.sendParsed(node, message, Parsers.xml.stringify(value, { pretty }));
+                return;
+            }
+
+            if (typeof value !== 'string') {
+                throw new Error(`${property} is not XML text`);
+            }
+            this.logger.log(`🏷️ XML node "${node.config.name || node.id}" parsed ${property}`);
+            this.sendParsed(node, message, Parsers.xml.parse(value));
+        }
+
+        // Send the request a message describes and pass on the response as msg.payload, with
+        // msg.statusCode and msg.headers. Error status codes (400 and up) and timeouts are reported
+        // as errors; Catch nodes get the response message when there is one.
+        executeHttpNode(node, message) {
+            const nodeName = node.config.name || node.id;
+            const request = this.buildHttpRequest(node, message);
+
+            this.setStatus(node, { fill: 'blue', shape: 'ring', text: 'requesting' });
+            this.logger.log(`🌐 HTTP Request node "${nodeName}" ${request.method} ${request.url}`);
+
+            return this.httpTransport.request(request).then(response => {
+                const result = cloneMessage(message);
+                result.payload = this.decodeHttpBody(node, response, request);
+                result.statusCode = response.statusCode;
+                result.headers = response.headers;
+
+                if (response.statusCode >= 400) {
+                    this.reportError(node, `HTTP ${response.statusCode} from ${request.method} ${request.url}`, result);
+                    return;
+                }
+                this.clearError(node);
+                this.setStatus(node, { fill: 'green', shape: 'dot', text: String(response.statusCode) });
+                this.send(node, result, message);
+            }).catch(error => {
+                this.reportError(node, error.message, message);
+            });
+        }
+
+        buildHttpRequest(node, message) {
+            const config = node.config;
+            const method = (config.method === 'msg.method' ? String(message.method || 'GET') : config.method || 'GET').toUpperCase();
+
+            let url = message.url;
+            if (config.url) {
+                if (!node.compiledUrl || node.compiledUrl.source !== config.url) {
+                    node.compiledUrl = { source: config.url, tree: Template.parse(config.url) };
+                }
+                url = Template.render(node.compiledUrl.tree, message, { escape: encodeURIComponent });
+            }
+            if (!url) {
+                throw new Error('No URL - set one on the node or send msg.url');
+            }
+
+            const headers = {};
+            parseHttpHeaders(config.headers).forEach(header => {
+                headers[header.name] = Template.render(header.value, message, { escape: text => text });
+            });
+
+            let body;
+            const value = config.body && !['GET', 'HEAD'].includes(method) ? Expression.getPath(message, config.body) : undefined;
+            if (typeof value === 'string' || value instanceof Uint8Array) {
+                body = value;
+            } else if (value !== undefined && value !== null && typeof value === 'object') {
+                body = JSON.stringify(value);
+                if (!Object.keys(headers).some(name => name.toLowerCase() === 'content-type')) {
+                    headers['Content-Type'] = 'application/json';
+                }
+            } else if (value !== undefined && value !== null) {
+                body = String(value);
+            }
+
+            const timeout = parseInt(config.timeout);
+            return { method, url, headers, body, timeout: timeout > 0 ? timeout : 0 };
+        }
+
+        // An error page that is not JSON is passed on as text rather than hiding the status code
+        decodeHttpBody(node, response, request) {
+            if (node.config.ret === 'binary') return response.body;
+
+            const text = new TextDecoder().decode(response.body);
+            if (node.config.ret !== 'json') return text;
+            try {
+                return text === '' ? null : JSON.parse(text);
+            } catch (error) {
+                if (response.statusCode >= 400) return text;
+                throw new Error(`Response from ${request.url} is not valid JSON: ${error.message}`);
+            }
+        }
+
+        // WebSocket nodes with the same URL, or the same port and path, share one endpoint
+        static getWebSocketKey(config) {
+            if (config.mode === 'listen') {
+                return `listen:${parseInt(config.port) || 0}${config.path || '/'}`;
+            }
+            return `connect:${config.url || ''}`;
+        }
+
+        getWebSocketNodes(endpoint) {
+            return Array.from(endpoint.nodeIds).map(nodeId => this.nodes.get(nodeId)).filter(Boolean);
+        }
+
+        openWebSocket(node) {
+            const key = FlowRuntime.getWebSocketKey(node.config);
+            let endpoint = this.webSockets.get(key);
+            node.webSocketKey = key;
+
+            if (endpoint) {
+                // Taken up again by a redeployed node before it was shut down
+                clearTimeout(endpoint.idleTimer);
+                endpoint.idleTimer = null;
+                endpoint.config = node.config;
+                endpoint.nodeIds.add(node.id);
+                this.showWebSocketStatus(endpoint);
+                return;
+            }
+
+            endpoint = {
+                key,
+                config: node.config,
+                nodeIds: new Set([node.id]),
+                state: 'connecting',
+                connection: null,
+                sessions: new Set(),
+                attempts: 0,
+                retryTimer: null,
+                idleTimer: null,
+                closed: false
+            };
+            this.webSockets.set(key, endpoint);
+            if (node.config.mode === 'listen') {
+                this.listenWebSocket(endpoint);
+            } else {
+                this.connectWebSocket(endpoint);
+            }
+        }
+
+        connectWebSocket(endpoint) {
+            const url = endpoint.config.url;
+            endpoint.retryTimer = null;
+            endpoint.state = 'connecting';
+            this.showWebSocketStatus(endpoint);
+
+            try {
+                endpoint.connection = this.webSocketTransport.connect(url, {
+                    onOpen: () => {
+                        endpoint.state = 'connected';
+                        endpoint.attempts = 0;
+                        this.logger.log(`🔌 WebSocket connected to ${url}`);
+                        this.showWebSocketStatus(endpoint);
+                    },
+                    onMessage: text => this.receiveWebSocketFrame(endpoint, text),
+                    onClose: reason => {
+                        endpoint.connection = null;
+                        this.logger.warn(`⚠️ WebSocket ${url} closed: ${reason}`);
+                        this.retryWebSocket(endpoint);
+                    }
+                });
+            } catch (error) {
+                this.failWebSocket(endpoint, error.message);
+            }
+        }
+
+        // Try again after 1s, 2s, 4s... up to 30s; a successful connection starts over at 1s
+        retryWebSocket(endpoint) {
+            if (endpoint.closed) return;
+            if (endpoint.config.reconnect === false || endpoint.config.reconnect === 'false') {
+                endpoint.state = 'disconnected';
+                this.showWebSocketStatus(endpoint);
+                return;
+            }
+
+            endpoint.retryDelay = Math.min(WEBSOCKET_RETRY_FIRST * Math.pow(2, endpoint.attempts), WEBSOCKET_RETRY_LONGEST);
+            endpoint.attempts++;
+            endpoint.state = 'retrying';
+            endpoint.retryTimer = setTimeout(() => this.connectWebSocket(endpoint), endpoint.retryDelay);
+            this.showWebSocketStatus(endpoint);
+        }
+
+        listenWebSocket(endpoint) {
+            const port = parseInt(endpoint.config.port);
+            const path = endpoint.config.path || '/';
+            this.showWebSocketStatus(endpoint);
+
+            try {
+                endpoint.connection = this.webSocketTransport.listen({ port, path }, {
+                    onListening: () => {
+                        endpoint.state = 'listening';
+                        this.logger.log(`🔌 Listening for WebSocket connections on port ${port} at ${path}`);
+                        this.showWebSocketStatus(endpoint);
+                    },
+                    onConnection: sessionId => {
+                        endpoint.sessions.add(sessionId);
+                        this.showWebSocketStatus(endpoint);
+                    },
+                    onMessage: (text, sessionId) => this.receiveWebSocketFrame(endpoint, text, sessionId),
+                    onDisconnect: sessionId => {
+                        endpoint.sessions.delete(sessionId);
+                        this.showWebSocketStatus(endpoint);
+                    },
+                    onError: error => this.failWebSocket(endpoint, `WebSocket endpoint on port ${port}: ${error.message}`)
+                });
+            } catch (error) {
+                this.failWebSocket(endpoint, error.message);
+            }
+        }
+
+        failWebSocket(endpoint, errorMessage) {
+            endpoint.state = 'failed';
+            endpoint.connection = null;
+            this.getWebSocketNodes(endpoint).forEach(node => this.reportError(node, errorMessage));
+        }
+
+        showWebSocketStatus(endpoint) {
+            const clients = endpoint.sessions.size;
+            const status = {
+                connecting: { fill: 'yellow', shape: 'ring', text: 'connecting' },
+                connected: { fill: 'green', shape: 'dot', text: 'connected' },
+                retrying: { fill: 'red', shape: 'ring', text: `disconnected - retry in ${formatInterval(endpoint.retryDelay)}` },
+                disconnected: { fill: 'red', shape: 'ring', text: 'disconnected' },
+                listening: { fill: 'green', shape: 'dot', text: `listening - ${clients} client${clients === 1 ? '' : 's'}` }
+            }[endpoint.state];
+            if (!status) return;
+            // A change of connection state replaces an earlier error status
+            this.getWebSocketNodes(endpoint).forEach(node => {
+                node.hasErrorStatus = false;
+                this.setStatus(node, status);
+            });
+        }
+
+        // Each frame becomes a message from every WebSocket In node on the endpoint, built the way
+        // an Example Data node builds one. Frames from a listening endpoint carry msg._session, so
+        // a WebSocket Out node can answer the client that sent them.
+        receiveWebSocketFrame(endpoint, text, sessionId) {
+            this.getWebSocketNodes(endpoint).filter(node => node.type === 'websocketIn').forEach(node => {
+                let payload = text;
+                if (node.config.format !== 'text') {
+                    try {
+                        payload = JSON.parse(text);
+                    } catch (error) {
+                        this.reportError(node, `Received a frame that is not valid JSON: ${error.message}`);
+                        return;
+                    }
+                }
+
+                const message = {
+                    payload: payload,
+                    topic: node.config.name || 'websocket',
+                    timestamp: new Date().toISOString(),
+                    source: node.id
+                };
+                if (sessionId) {
+                    message._session = { id: sessionId };
+                }
+
+                this.emit('activity', node);
+                this.send(node, message);
+            });
+        }
+
+        // JSON frames carry msg.payload as JSON; text frames send strings as they are
+        executeWebSocketOutNode(node, message) {
+            const endpoint = this.webSockets.get(node.webSocketKey);
+            if (!endpoint || !endpoint.connection || (endpoint.state !== 'connected' && endpoint.state !== 'listening')) {
+                throw new Error('WebSocket is not connected - message dropped');
+            }
+
+            const payload = message.payload === undefined ? null : message.payload;
+            const text = node.config.format === 'text' && typeof payload === 'string' ? payload : JSON.stringify(payload);
+            if (endpoint.state === 'listening') {
+                // Reply to the client a message came from, or send to every client
+                const sessionId = message._session && message._session.id;
+                if (endpoint.connection.send(text, sessionId) === 0 && sessionId) {
+                    throw new Error(`WebSocket client ${sessionId} has disconnected - reply dropped`);
+                }
+            } else {
+                endpoint.connection.send(text);
+            }
+        }
+
+        closeWebSocket(node) {
+            const endpoint = node.webSocketKey && this.webSockets.get(node.webSocketKey);
+            if (!endpoint) return;
+            endpoint.nodeIds.delete(node.id);
+
+            // A deploy stops nodes before starting their replacements; keep the endpoint (and
+            // its clients) if one of them takes it up again
+            if (endpoint.nodeIds.size === 0 && !endpoint.idleTimer) {
+                endpoint.idleTimer = setTimeout(() => this.shutdownWebSocket(endpoint), 0);
+            }
+        }
+
+        shutdownWebSocket(endpoint) {
+            endpoint.closed = true;
+            clearTimeout(endpoint.retryTimer);
+            clearTimeout(endpoint.idleTimer);
+            if (endpoint.connection) {
+                endpoint.connection.close();
+                endpoint.connection = null;
+            }
+            this.webSockets.delete(endpoint.key);
+        }
+
+        // One message per element of an array, key of an object or piece of a string
+        executeSplitNode(node, message) {
+            const property = node.config.property || 'payload';
+            const value = Expression.getPath(message, property);
+            let type;
+            let items;
+            let delimiter;
+            if (Array.isArray(value)) {
+                type = 'array';
+                items = value.map(item => ({ value: item }));
+            } else if (typeof value === 'string') {
+                type = 'string';
+                delimiter = unescapeDelimiter(node.config.delimiter);
+                items = value.split(delimiter).map(item => ({ value: item }));
+            } else if (value !== null && typeof value === 'object') {
+                type = 'object';
+                items = Object.keys(value).map(key => ({ key, value: value[key] }));
+            } else {
+                this.logger.log(`✂️ Split node "${node.config.name || node.id}" passed on a message with nothing to split`);
+                this.send(node, message);
+                return;
+            }
+
+            // Copy the rest of the message once rather than the whole value for every part
+            const rest = cloneMessage(message);
+            Expression.deletePath(rest, property);
+            const id = this.generateMessageId();
+            const parts = items.map((item, index) => {
+                const part = cloneMessage(rest);
+                Expression.setPath(part, property, item.value);
+                part.parts = { id, index, count: items.length, type, property };
+                if (item.key !== undefined) part.parts.key = item.key;
+                if (delimiter !== undefined) part.parts.delimiter = delimiter;
+                // A split inside a split keeps the outer sequence to rebuild it later
+                if (message.parts) part.parts.parts = message.parts;
+                this.deriveMessageId(part, message);
+                return part;
+            });
+
+            this.logger.log(`✂️ Split node "${node.config.name || node.id}" sent ${parts.length} part(s)`);
+            this.send(node, [parts]);
+        }
+
+        // Join modes:
+        //   auto   rebuild what a Split node took apart, one sequence per msg.parts.id
+        //   count  collect the property of every `count` messages into an array
+        //   key    collect the property into an object keyed by the key property (e.g. topic);
+        //          sent once `count` keys are present
+        // A timeout sends whatever has been collected that long after a group's first message.
+        executeJoinNode(node, message) {
+            const mode = node.config.mode || 'auto';
+            const count = parseInt(node.config.count) || 0;
+            if (mode === 'auto' && (!message.parts || message.parts.id === undefined)) {
+                throw new Error('Message has no msg.parts - join messages from a Split node or choose the count or key mode');
+            }
+            if (mode === 'count' && count < 1) {
+                throw new Error('Message count must be at least 1');
+            }
+            // Without either a key group would hold its messages forever
+            if (mode === 'key' && count < 1 && !(parseInt(node.config.timeout) > 0)) {
+                throw new Error('Set a message count or a timeout to join by key');
+            }
+
+            const groupId = mode === 'auto' ? message.parts.id : mode;
+            const property = mode === 'auto' ? message.parts.property || 'payload' : node.config.property || 'payload';
+            const value = Expression.getPath(message, property);
+            const groups = node.joinGroups || (node.joinGroups = new Map());
+            let group = groups.get(groupId);
+            if (!group) {
+                group = { mode, property, items: [], values: {}, first: message, timer: null };
+                groups.set(groupId, group);
+                const timeout = parseInt(node.config.timeout);
+                if (timeout > 0) {
+                    group.timer = setTimeout(() => this.runTimer(node, () => this.completeJoin(node, groupId)), timeout);
+                }
+            }
+            group.last = message;
+
+            let complete;
+            if (mode === 'key') {
+                const key = Expression.getPath(message, node.config.key || 'topic');
+                if (key === undefined || key === null) {
+                    throw new Error(`Message has no ${node.config.key || 'topic'} to join by`);
+                }
+                group.values[String(key)] = value;
+                complete = count > 0 && Object.keys(group.values).length >= count;
+            } else {
+                group.items.push({ value, parts: message.parts });
+                complete = mode === 'auto' ? group.items.length >= message.parts.count : group.items.length >= count;
+            }
+
+            if (complete) {
+                this.completeJoin(node, groupId);
+            } else {
+                this.showSequenceStatus(node);
+            }
+        }
+
+        completeJoin(node, groupId) {
+            const group = node.joinGroups && node.joinGroups.get(groupId);
+            if (!group) return;
+
+            clearTimeout(group.timer);
+            node.joinGroups.delete(groupId);
+            this.showSequenceStatus(node);
+
+            let joined;
+            if (group.mode === 'key') {
+                joined = group.values;
+            } else if (group.mode === 'count') {
+                joined = group.items.map(item => item.value);
+            } else {
+                // Parts that never arrived (the group timed out) leave no gaps
+                const parts = group.first.parts;
+                const items = group.items.slice().sort((a, b) => a.parts.index - b.parts.index);
+                if (parts.type === 'object') {
+                    joined = {};
+                    items.forEach(item => {
+                        joined[item.parts.key] = item.value;
+                    });
+                } else if (parts.type === 'string') {
+                    joined = items.map(item => item.value).join(parts.delimiter !== undefined ? parts.delimiter : '\n');
+                } else {
+                    joined = items.map(item => item.value);
+                }
+            }
+
+            const result = cloneMessage(group.last);
+            Expression.setPath(result, group.property, joined);
+            delete result.parts;
+            if (group.mode === 'auto' && group.first.parts.parts) {
+                result.parts = group.first.parts.parts;
+            }
+            this.deriveMessageId(result, group.last);
+
+            this.logger.log(`🧷 Join node "${node.config.name || node.id}" joined ${group.mode === 'key' ? Object.keys(joined).length : group.items.length} message(s)`);
+            this.send(node, result);
+        }
+
+        // Group messages into one whose property is the array of theirs: every `count` messages,
+        // or everything that arrives within `interval` ms of the first
+        executeBatchNode(node, message) {
+            const mode = node.config.mode || 'count';
+            const batch = node.batch || (node.batch = { messages: [], timer: null });
+            batch.messages.push(message);
+
+            if (mode === 'interval') {
+                const interval = parseInt(node.config.interval);
+                if (!(interval > 0)) {
+                    batch.messages = [];
+                    throw new Error('Interval must be at least 1ms');
+                }
+                if (!batch.timer) {
+                    batch.timer = setTimeout(() => this.runTimer(node, () => this.flushBatch(node)), interval);
+                }
+            } else {
+                const count = parseInt(node.config.count);
+                if (!(count > 0)) {
+                    batch.messages = [];
+                    throw new Error('Messages per batch must be at least 1');
+                }
+                if (batch.messages.length >= count) {
+                    this.flushBatch(node);
+                    return;
+                }
+            }
+            this.showSequenceStatus(node);
+        }
+
+        flushBatch(node) {
+            const batch = node.batch;
+            if (!batch) return;
+
+            clearTimeout(batch.timer);
+            batch.timer = null;
+            const messages = batch.messages;
+            batch.messages = [];
+            this.showSequenceStatus(node);
+            if (messages.length === 0) return;
+
+            const property = node.config.property || 'payload';
+            const last = messages[messages.length - 1];
+            const result = cloneMessage(last);
+            Expression.setPath(result, property, messages.map(message => Expression.getPath(message, property)));
+            delete result.parts;
+            this.deriveMessageId(result, last);
+
+            this.logger.log(`📚 Batch node "${node.config.name || node.id}" sent ${messages.length} message(s)`);
+            this.send(node, result);
+        }
+
+        // Failures in a node's own timer are reported like failures handling a message
+        runTimer(node, callback) {
+            try {
+                callback();
+            } catch (error) {
+                this.reportError(node, error.message);
+            }
+        }
+
+        // Join and Batch nodes show how many messages they are holding
+        showSequenceStatus(node) {
+            let waiting = 0;
+            if (node.joinGroups) {
+                node.joinGroups.forEach(group => {
+                    waiting += group.mode === 'key' ? Object.keys(group.values).length : group.items.length;
+                });
+            }
+            if (node.batch) {
+                waiting += node.batch.messages.length;
+            }
+            this.setStatus(node, waiting > 0 ? { fill: 'blue', shape: 'ring', text: `${waiting} waiting` } : null);
+        }
+
+        // Drop the messages a Join or Batch node is holding
+        clearSequences(node) {
+            if (node.joinGroups) {
+                node.joinGroups.forEach(group => clearTimeout(group.timer));
+                node.joinGroups = null;
+            }
+            if (node.batch) {
+                clearTimeout(node.batch.timer);
+                node.batch = null;
+            }
+        }
+
+        // Pace messages. Modes:
+        //   delay   hold each message for `delay` ms
+        //   random  hold each message for a random time between `delay` and `maxDelay` ms
+        //   rate    pass at most `rate` messages per `interval` ms; the rest wait their turn,
+        //           or are dropped when `drop` is set
+        //   topic   the same limit for each msg.topic; only the latest waiting message of a topic is kept
+        // Control messages are not passed on: msg.flush sends what is waiting now (msg.flush = n
+        // sends the next n) and msg.reset drops it.
+        executeDelayNode(node, message) {
+            if (message.reset) {
+                this.resetDelay(node);
+                return;
+            }
+            if (message.flush !== undefined && message.flush !== false) {
+                this.flushDelay(node, typeof message.flush === 'number' ? message.flush : Infinity);
+                return;
+            }
+
+            const mode = node.config.mode || 'delay';
+            const state = node.delay || (node.delay = { delayed: [], buckets: new Map(), dropped: 0 });
+
+            if (mode === 'delay' || mode === 'random') {
+                const entry = { message, timer: null };
+                entry.timer = setTimeout(() => this.runTimer(node, () => this.releaseDelayed(node, entry)), getDelayTime(node.config));
+                state.delayed.push(entry);
+                this.showDelayStatus(node);
+                return;
+            }
+
+            const { rate, interval } = getRateLimit(node.config);
+            const key = mode === 'topic' ? String(message.topic === undefined ? '' : message.topic) : '';
+            let bucket = state.buckets.get(key);
+            if (!bucket) {
+                this.pruneBuckets(node, interval);
+                bucket = { key, queue: [], sent: [], timer: null };
+                state.buckets.set(key, bucket);
+            }
+
+            const now = Date.now();
+            bucket.sent = bucket.sent.filter(time => time + interval > now);
+            if (bucket.queue.length === 0 && bucket.sent.length < rate) {
+                bucket.sent.push(now);
+                this.send(node, message);
+                return;
+            }
+
+            if (node.config.drop === true || node.config.drop === 'true') {
+                state.dropped++;
+                if (state.dropped === 1 || state.dropped % 100 === 0) {
+                    this.logger.log(`⏳ Delay node "${node.config.name || node.id}" is over its rate limit - ${state.dropped} message(s) dropped`);
+                }
+            } else if (mode === 'topic') {
+                bucket.queue = [message];
+            } else {
+                bucket.queue.push(message);
+            }
+            this.scheduleRelease(node, bucket, interval);
+            this.showDelayStatus(node);
+        }
+
+        releaseDelayed(node, entry) {
+            if (!node.delay) return;
+            node.delay.delayed = node.delay.delayed.filter(other => other !== entry);
+            this.showDelayStatus(node);
+            this.send(node, entry.message);
+        }
+
+        // Wake up when the oldest send in the window expires and a queued message may go
+        scheduleRelease(node, bucket, interval) {
+            if (bucket.timer || bucket.queue.length === 0) return;
+            const wait = Math.max(bucket.sent[0] + interval - Date.now(), 0);
+            bucket.timer = setTimeout(() => this.runTimer(node, () => {
+                bucket.timer = null;
+                this.releaseQueued(node, bucket);
+            }), wait);
+        }
+
+        releaseQueued(node, bucket) {
+            const { rate, interval } = getRateLimit(node.config);
+            const now = Date.now();
+            bucket.sent = bucket.sent.filter(time => time + interval > now);
+
+            const released = [];
+            while (bucket.queue.length > 0 && bucket.sent.length < rate) {
+                bucket.sent.push(now);
+                released.push(bucket.queue.shift());
+            }
+            this.scheduleRelease(node, bucket, interval);
+            this.showDelayStatus(node);
+            released.forEach(message => this.send(node, message));
+        }
+
+        // Forget topics that have nothing waiting and no sends left in their window
+        pruneBuckets(node, interval) {
+            const now = Date.now();
+            node.delay.buckets.forEach((bucket, key) => {
+                if (bucket.queue.length === 0 && bucket.sent.every(time => time + interval <= now)) {
+                    clearTimeout(bucket.timer);
+                    node.delay.buckets.delete(key);
+                }
+            });
+        }
+
+        flushDelay(node, count) {
+            const state = node.delay;
+            if (!state) return;
+
+            const messages = [];
+            while (messages.length < count && state.delayed.length > 0) {
+                const entry = state.delayed.shift();
+                clearTimeout(entry.timer);
+                messages.push(entry.message);
+            }
+            state.buckets.forEach(bucket => {
+                while (messages.length < count && bucket.queue.length > 0) {
+                    messages.push(bucket.queue.shift());
+                }
+                if (bucket.queue.length === 0) {
+                    clearTimeout(bucket.timer);
+                    bucket.timer = null;
+                }
+            });
+
+            this.logger.log(`⏳ Delay node "${node.config.name || node.id}" flushed ${messages.length} message(s)`);
+            this.showDelayStatus(node);
+            messages.forEach(message => this.send(node, message));
+        }
+
+        resetDelay(node) {
+            this.clearDelay(node);
+            this.logger.log(`⏳ Delay node "${node.config.name || node.id}" reset`);
+            this.setStatus(node, null);
+        }
+
+        // Delay nodes show how many messages are waiting and how many were dropped
+        showDelayStatus(node) {
+            const state = node.delay;
+            let waiting = state.delayed.length;
+            state.buckets.forEach(bucket => {
+                waiting += bucket.queue.length;
+            });
+
+            if (waiting === 0 && state.dropped === 0) {
+                this.setStatus(node, null);
+                return;
+            }
+            const text = state.dropped > 0 ? `${waiting} queued, ${state.dropped} dropped` : `${waiting} queued`;
+            this.setStatus(node, { fill: state.dropped > 0 ? 'yellow' : 'blue', shape: 'ring', text });
+        }
+
+        // Drop the messages a Delay node is holding
+        clearDelay(node) {
+            if (!node.delay) return;
+            node.delay.delayed.forEach(entry => clearTimeout(entry.timer));
+            node.delay.buckets.forEach(bucket => clearTimeout(bucket.timer));
+            node.delay = null;
+        }
+    }
+
+    return FlowRuntime;
+})(typeof module !== 'undefined' && module.exports ? {
+    NODE_TYPES: require('./nodeTypes'),
+    Expression: require('./expression').Expression,
+    TransformRules: require('./transformRules'),
+    SwitchRules: require('./switchRules'),
+    Template: require('./template'),
+    Parsers: require('./parsers'),
+    FunctionSandbox: require('./functionSandbox').FunctionSandbox,
+    ContextStore: require('./contextStore').ContextStore,
+    DataStore: require('./dataStore').DataStore,
+    MessageScheduler: require('./messageScheduler').MessageScheduler,
+    OVERFLOW_POLICIES: require('./messageScheduler').OVERFLOW_POLICIES,
+    FetchHttpTransport: require('./httpTransport').FetchHttpTransport,
+    parseHttpHeaders: require('./httpTransport').parseHttpHeaders,
+    WebSocketTransport: require('./webSocketTransport').NodeWebSocketTransport,
+    FileWriter: require('./fileWriter').NodeFileWriter
+} : {
+    NODE_TYPES,
+    Expression,
+    TransformRules,
+    SwitchRules,
+    Template,
+    Parsers,
+    FunctionSandbox,
+    ContextStore,
+    DataStore,
+    MessageScheduler,
+    OVERFLOW_POLICIES,
+    FetchHttpTransport,
+    parseHttpHeaders,
+    WebSocketTransport: NativeWebSocketTransport,
+    FileWriter: BrowserFileWriter
+});
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = FlowRuntime;
+}
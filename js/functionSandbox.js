@@ -0,0 +1,300 @@
+// Runs Function node code in a Web Worker with a per-call timeout. Each Function node gets a
+// worker of its own, so a runaway call only takes that node's calls down with it. Under Node.js
+// (headless runtime) the code runs in a separate vm context instead.
+//
+// Trust model: neither is a security boundary. The worker keeps user code off the page's thread
+// and away from the DOM, and both let a runaway call be stopped, but code that wants to can reach
+// the worker's globals (and fake replies for its node's calls) or, headless, the host process.
+// Function code is trusted like the rest of the flow it comes with.
+class SandboxTimeoutError extends Error {
+    constructor(timeout) {
+        super(`Function timed out after ${timeout}ms`);
+        this.name = 'SandboxTimeoutError';
+    }
+}
+
+// Body of the worker script. It is serialized with toString(), so it must not
+// reference anything outside its own scope.
+function functionSandboxWorker() {
+    const scope = self;
+
+    scope.onmessage = async function(e) {
+        const { id, func, msg, context, node } = e.data;
+        const post = (type, data) => scope.postMessage({ id, type, data });
+
+        // Writes are recorded and applied to the real store once the call finishes
+        const changes = [];
+        const contextApi = name => {
+            const store = Object.assign({}, context[name]);
+            return {
+                get: key => store[key],
+                set: (key, value) => {
+                    store[key] = value;
+                    changes.push({ scope: name, key, value, remove: value === undefined });
+                },
+                keys: () => Object.keys(store).filter(key => store[key] !== undefined)
+            };
+        };
+
+        const nodeApi = {
+            id: node.id,
+            name: node.name,
+            status: status => post('status', status),
+            warn: text => post('warn', typeof text === 'string' ? text : JSON.stringify(text)),
+            error: text => post('error', typeof text === 'string' ? text : JSON.stringify(text)),
+            send: message => post('send', message)
+        };
+
+        try {
+            // Hide the worker globals from ordinary code; this is a convenience, not isolation
+            const fn = new Function(
+                'msg', 'node', 'context', 'flow', 'global',
+                'self', 'globalThis', 'postMessage', 'importScripts', 'close',
+                'fetch', 'XMLHttpRequest', 'WebSocket', 'indexedDB', 'caches',
+                '"use strict";\n' + func
+            );
+            const result = await fn(msg, nodeApi, contextApi('node'), contextApi('flow'), contextApi('global'));
+            post('done', { result: result === undefined ? null : result, changes });
+        } catch (error) {
+            post('fail', { message: error && error.message ? error.message : String(error) });
+        }
+    };
+}
+
+class FunctionSandbox {
+    constructor(options = {}) {
+        this.timeout = options.timeout || 1000;
+        // Node ID -> { key, worker, pending }, pending mapping call IDs to the calls in that worker
+        this.workers = new Map();
+        this.workerUrl = null;
+        this.callCounter = 0;
+    }
+
+    // Run `func` against `msg`. Resolves with { result, changes } once the code returns, where
+    // changes lists the context writes: [{ scope: 'node' | 'flow' | 'global', key, value, remove }].
+    // options: node ({ id, name }), context ({ node, flow, global } snapshots of the stored values),
+    // timeout, onSend, onStatus, onWarn, onError
+    run(func, msg, options = {}) {
+        if (typeof Worker === 'undefined' && typeof require === 'function') {
+            return this.runInVm(func, msg, options);
+        }
+
+        return new Promise((resolve, reject) => {
+            let entry;
+            try {
+                entry = this.getWorker((options.node || {}).id || '');
+            } catch (error) {
+                reject(error);
+                return;
+            }
+
+            const id = ++this.callCounter;
+            const timeout = parseInt(options.timeout) || this.timeout;
+            const timer = setTimeout(() => {
+                // A runaway call can only be stopped by killing its worker
+                entry.pending.delete(id);
+                this.restart(entry);
+                reject(new SandboxTimeoutError(timeout));
+            }, timeout);
+
+            entry.pending.set(id, { resolve, reject, timer, options });
+
+            try {
+                entry.worker.postMessage({
+                    id,
+                    func,
+                    msg,
+                    context: this.contextSnapshot(options.context),
+                    node: options.node || {}
+                });
+            } catch (error) {
+                clearTimeout(timer);
+                entry.pending.delete(id);
+                reject(error);
+            }
+        });
+    }
+
+    // Node.js backend. The vm timeout stops runaway synchronous code. The functions handed to the
+    // context come from the host realm, so user code can reach the host (process included) through
+    // them; the headless runtime trusts the flows it is given.
+    runInVm(func, msg, options = {}) {
+        const vm = require('vm');
+        const timeout = parseInt(options.timeout) || this.timeout;
+        // Code still awaiting after the timeout keeps running, but can't reach the flow any more
+        let timedOut = false;
+
+        const sandbox = vm.createContext({
+            node: {
+                id: (options.node || {}).id,
+                name: (options.node || {}).name,
+                status: status => !timedOut && options.onStatus && options.onStatus(status),
+                warn: text => !timedOut && options.onWarn && options.onWarn(typeof text === 'string' ? text : JSON.stringify(text)),
+                error: text => !timedOut && options.onError && options.onError(typeof text === 'string' ? text : JSON.stringify(text)),
+                send: message => !timedOut && options.onSend && options.onSend(JSON.parse(JSON.stringify(message)))
+            },
+            msgJson: JSON.stringify(msg === undefined ? null : msg),
+            contextJson: JSON.stringify(this.contextSnapshot(options.context))
+        });
+
+        return new Promise((resolve, reject) => {
+            let pending;
+            try {
+                // Build msg and the context stores inside the vm so user code only sees its own realm's objects
+                pending = vm.runInContext(
+                    `(function() {
+                        const snapshot = JSON.parse(contextJson);
+                        const changes = [];
+                        const contextApi = name => {
+                            const store = Object.assign({}, snapshot[name]);
+                            return {
+                                get: key => store[key],
+                                set: (key, value) => {
+                                    store[key] = value;
+                                    changes.push({ scope: name, key, value, remove: value === undefined });
+                                },
+                                keys: () => Object.keys(store).filter(key => store[key] !== undefined)
+                            };
+                        };
+                        const context = contextApi('node');
+                        const flow = contextApi('flow');
+                        const global = contextApi('global');
+                        return (async function(msg) {\n"use strict";\n${func}\n})(JSON.parse(msgJson))
+                            .then(result => JSON.stringify({ result: result === undefined ? null : result, changes }));
+                    })()`,
+                    sandbox,
+                    { timeout }
+                );
+            } catch (error) {
+                timedOut = error.code === 'ERR_SCRIPT_EXECUTION_TIMEOUT';
+                reject(timedOut ? new SandboxTimeoutError(timeout) : new Error(error.message));
+                return;
+            }
+
+            // Code that keeps awaiting can't be interrupted, but its result is ignored after the timeout
+            const timer = setTimeout(() => {
+                timedOut = true;
+                reject(new SandboxTimeoutError(timeout));
+            }, timeout);
+            pending.then(output => {
+                clearTimeout(timer);
+                resolve(JSON.parse(output));
+            }, error => {
+                clearTimeout(timer);
+                reject(new Error(error && error.message ? error.message : String(error)));
+            });
+        });
+    }
+
+    contextSnapshot(context = {}) {
+        return {
+            node: context.node || {},
+            flow: context.flow || {},
+            global: context.global || {}
+        };
+    }
+
+    // The worker that runs a node's calls, started on its first call
+    getWorker(key) {
+        const existing = this.workers.get(key);
+        if (existing) return existing;
+
+        if (typeof Worker === 'undefined' || typeof Blob === 'undefined') {
+            throw new Error('Web Workers are not available in this environment');
+        }
+
+        if (!this.workerUrl) {
+            const source = `(${functionSandboxWorker.toString()})();`;
+            this.workerUrl = URL.createObjectURL(new Blob([source], { type: 'application/javascript' }));
+        }
+        const entry = { key, worker: new Worker(this.workerUrl), pending: new Map() };
+        entry.worker.onmessage = e => this.onWorkerMessage(entry, e);
+        entry.worker.onerror = e => this.onWorkerError(entry, e);
+        this.workers.set(key, entry);
+        return entry;
+    }
+
+    onWorkerMessage(entry, e) {
+        const { id, type, data } = e.data;
+        const call = entry.pending.get(id);
+        if (!call) return;
+
+        const options = call.options;
+        switch (type) {
+            case 'send':
+                if (options.onSend) options.onSend(data);
+                break;
+            case 'status':
+                if (options.onStatus) options.onStatus(data);
+                break;
+            case 'warn':
+                if (options.onWarn) options.onWarn(data);
+                break;
+            case 'error':
+                if (options.onError) options.onError(data);
+                break;
+            case 'done':
+                this.finish(entry, id);
+                call.resolve(data);
+                break;
+            case 'fail':
+                this.finish(entry, id);
+                call.reject(new Error(data.message));
+                break;
+        }
+    }
+
+    onWorkerError(entry, e) {
+        e.preventDefault();
+        const error = new Error(e.message || 'Function sandbox crashed');
+        entry.pending.forEach(call => {
+            clearTimeout(call.timer);
+            call.reject(error);
+        });
+        entry.pending.clear();
+        this.restart(entry);
+    }
+
+    finish(entry, id) {
+        const call = entry.pending.get(id);
+        if (call) {
+            clearTimeout(call.timer);
+            entry.pending.delete(id);
+        }
+    }
+
+    restart(entry) {
+        // Calls still running in the old worker die with it; other nodes' workers carry on
+        entry.pending.forEach(call => {
+            clearTimeout(call.timer);
+            call.reject(new Error('Function sandbox was restarted'));
+        });
+        entry.pending.clear();
+        entry.worker.terminate();
+        if (this.workers.get(entry.key) === entry) {
+            this.workers.delete(entry.key);
+        }
+    }
+
+    // Stop the worker of a node that stopped running, unless calls are still running in it
+    release(nodeId) {
+        const entry = this.workers.get(nodeId);
+        if (entry && entry.pending.size === 0) {
+            this.restart(entry);
+        }
+    }
+
+    terminate() {
+        this.workers.forEach(entry => entry.worker.terminate());
+        this.workers.clear();
+        if (this.workerUrl) {
+            URL.revokeObjectURL(this.workerUrl);
+            this.workerUrl = null;
+        }
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { FunctionSandbox, SandboxTimeoutError };
+}
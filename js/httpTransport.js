@@ -0,0 +1,118 @@
+// HTTP transports used by HTTP Request nodes. A transport implements
+//   request({ method, url, headers, body, timeout }) -> Promise<{ statusCode, headers, body }>
+// where the response body is a Uint8Array and header names are lower case. A request still
+// unanswered after `timeout` ms rejects with an HttpTimeoutError.
+class HttpTimeoutError extends Error {
+    constructor(timeout) {
+        super(`Request timed out after ${timeout}ms`);
+        this.name = 'HttpTimeoutError';
+    }
+}
+
+// Reject with an HttpTimeoutError unless the promise settles in time; onTimeout can cancel the work
+function withTimeout(promise, timeout, onTimeout) {
+    if (!(timeout > 0)) return promise;
+
+    let timer;
+    const expired = new Promise((resolve, reject) => {
+        timer = setTimeout(() => {
+            if (onTimeout) onTimeout();
+            reject(new HttpTimeoutError(timeout));
+        }, timeout);
+    });
+    return Promise.race([promise, expired]).finally(() => clearTimeout(timer));
+}
+
+function toBytes(body) {
+    if (body === undefined || body === null) return new Uint8Array(0);
+    if (body instanceof Uint8Array) return body;
+    if (body instanceof ArrayBuffer) return new Uint8Array(body);
+    const text = typeof body === 'object' ? JSON.stringify(body) : String(body);
+    return new TextEncoder().encode(text);
+}
+
+function lowerCaseHeaders(headers) {
+    const result = {};
+    Object.keys(headers || {}).forEach(name => {
+        result[name.toLowerCase()] = String(headers[name]);
+    });
+    return result;
+}
+
+// Request headers written one per line as "Name: value"; returns [{ name, value }]
+function parseHttpHeaders(text) {
+    return String(text || '').split('\n').map((line, index) => ({ line: line.trim(), index })).filter(entry => entry.line).map(entry => {
+        const colon = entry.line.indexOf(':');
+        const name = colon > 0 ? entry.line.slice(0, colon).trim() : '';
+        if (!/^[!#$%&'*+.^_`|~0-9A-Za-z-]+$/.test(name)) {
+            throw new Error(`Header line ${entry.index + 1} must look like "Name: value"`);
+        }
+        return { name, value: entry.line.slice(colon + 1).trim() };
+    });
+}
+
+// Sends requests with fetch (browsers and Node.js 18+). Relative URLs are resolved against
+// baseUrl, so a flow written for "/api/..." can be pointed at a local mock server.
+class FetchHttpTransport {
+    constructor(options = {}) {
+        this.baseUrl = options.baseUrl || null;
+        this.fetch = options.fetch || ((url, init) => fetch(url, init));
+    }
+
+    resolveUrl(url) {
+        return this.baseUrl ? new URL(url, this.baseUrl).href : url;
+    }
+
+    request({ method, url, headers, body, timeout }) {
+        const target = this.resolveUrl(url);
+        const controller = typeof AbortController === 'function' ? new AbortController() : null;
+
+        const response = Promise.resolve().then(() => this.fetch(target, {
+            method,
+            headers,
+            body,
+            signal: controller ? controller.signal : undefined
+        })).then(result => result.arrayBuffer().then(buffer => {
+            const responseHeaders = {};
+            result.headers.forEach((value, name) => {
+                responseHeaders[name.toLowerCase()] = value;
+            });
+            return { statusCode: result.status, headers: responseHeaders, body: new Uint8Array(buffer) };
+        }), error => {
+            // Node's fetch hides the reason (refused, unknown host) in error.cause
+            const reason = error.cause && error.cause.message ? error.cause.message : error.message;
+            throw new Error(`Request to ${target} failed: ${reason}`);
+        });
+
+        return withTimeout(response, timeout, () => controller && controller.abort());
+    }
+}
+
+// Answers requests in memory, for tests and demos without a server. The handler receives each
+// request and returns (or resolves to) { statusCode, headers, body }; the body may be a string,
+// a Uint8Array or an object sent as JSON. Requests are kept in `requests` for inspection.
+class StubHttpTransport {
+    constructor(handler) {
+        this.handler = handler || (() => ({ statusCode: 404, body: 'Not Found' }));
+        this.requests = [];
+    }
+
+    request(request) {
+        this.requests.push(request);
+
+        const response = Promise.resolve().then(() => this.handler(request)).then(result => {
+            const answer = result || {};
+            return {
+                statusCode: answer.statusCode || 200,
+                headers: lowerCaseHeaders(answer.headers),
+                body: toBytes(answer.body)
+            };
+        });
+        return withTimeout(response, request.timeout);
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { FetchHttpTransport, StubHttpTransport, HttpTimeoutError, parseHttpHeaders };
+}
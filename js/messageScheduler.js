@@ -0,0 +1,222 @@
+// Message scheduler - every message between nodes passes through one queue per target node.
+// A single timer drains the queues in arrival order once each message has waited out its
+// flow's hop delay, so a hop delay of 0 runs a whole chain in one tick instead of one timer per hop.
+//
+// Queues are bounded. When a target's queue is full the overflow policy decides:
+//   dropOldest  discard the longest-waiting message to make room
+//   dropNewest  discard the message being sent
+//   block       park the message and block its source until the target has room; a blocked
+//               node takes no more input and a blocked source node skips its injects.
+//               In a loop every node can end up waiting on the next; when nothing can run,
+//               the longest-parked message is let in as if the policy were dropOldest
+const OVERFLOW_POLICIES = ['dropOldest', 'dropNewest', 'block'];
+
+// Deliveries handled per tick before yielding, so a flood can't starve the page or event loop
+const SCHEDULER_BATCH_SIZE = 200;
+
+class MessageScheduler {
+    // options: deliver(delivery) handles one message and may return a promise, during which
+    // the target takes no more messages; getSettings(nodeId) -> { hopDelay, queueLimit, overflow };
+    // onDepth(nodeId, depth) and onDrop(nodeId, delivery) report queue changes; logger
+    constructor(options = {}) {
+        this.deliver = options.deliver;
+        this.getSettings = options.getSettings;
+        this.onDepth = options.onDepth || (() => {});
+        this.onDrop = options.onDrop || (() => {});
+        this.logger = options.logger || console;
+
+        // Target node ID -> { nodeId, items, waiting, busy }
+        this.queues = new Map();
+        // Source node ID -> number of its messages waiting for room in a full queue
+        this.blocked = new Map();
+        this.sequence = 0;
+        this.timer = null;
+        this.timerDue = null;
+    }
+
+    // Queue a message for its target. delivery: { node, message, link, sourceId }.
+    // Returns 'queued', 'dropped' (the message itself was discarded) or 'blocked'.
+    enqueue(delivery) {
+        const nodeId = delivery.node.id;
+        const settings = this.getSettings(nodeId);
+        let queue = this.queues.get(nodeId);
+        if (!queue) {
+            queue = { nodeId, items: [], waiting: [], busy: false };
+            this.queues.set(nodeId, queue);
+        }
+
+        delivery.due = Date.now() + settings.hopDelay;
+        delivery.sequence = ++this.sequence;
+
+        if (queue.items.length >= settings.queueLimit) {
+            if (settings.overflow === 'dropNewest') {
+                this.onDrop(nodeId, delivery);
+                return 'dropped';
+            }
+            if (settings.overflow === 'block') {
+                queue.waiting.push(delivery);
+                this.blocked.set(delivery.sourceId, (this.blocked.get(delivery.sourceId) || 0) + 1);
+                this.onDepth(nodeId, this.depth(nodeId));
+                return 'blocked';
+            }
+            this.onDrop(nodeId, queue.items.shift());
+        }
+
+        queue.items.push(delivery);
+        this.onDepth(nodeId, this.depth(nodeId));
+        this.schedule();
+        return 'queued';
+    }
+
+    // Messages waiting for a node, including those parked by the block policy
+    depth(nodeId) {
+        const queue = this.queues.get(nodeId);
+        return queue ? queue.items.length + queue.waiting.length : 0;
+    }
+
+    isBlocked(nodeId) {
+        return this.blocked.has(nodeId);
+    }
+
+    // True while any message is queued or being handled
+    hasPending() {
+        return Array.from(this.queues.values()).some(queue =>
+            queue.busy || queue.items.length > 0 || queue.waiting.length > 0
+        );
+    }
+
+    // Discard the messages queued for one node
+    clearNode(nodeId) {
+        const queue = this.queues.get(nodeId);
+        if (!queue) return;
+
+        this.queues.delete(nodeId);
+        queue.waiting.forEach(delivery => this.unblock(delivery.sourceId));
+        if (queue.items.length > 0 || queue.waiting.length > 0) {
+            this.onDepth(nodeId, 0);
+        }
+        this.schedule();
+    }
+
+    clear() {
+        Array.from(this.queues.keys()).forEach(nodeId => this.clearNode(nodeId));
+        this.blocked.clear();
+        clearTimeout(this.timer);
+        this.timer = null;
+        this.timerDue = null;
+    }
+
+    unblock(sourceId) {
+        const count = (this.blocked.get(sourceId) || 0) - 1;
+        if (count > 0) {
+            this.blocked.set(sourceId, count);
+        } else {
+            this.blocked.delete(sourceId);
+        }
+    }
+
+    // The queue whose first message should go next: a free, unblocked node, earliest due first
+    nextQueue(now) {
+        let next = null;
+        this.queues.forEach(queue => {
+            if (queue.busy || queue.items.length === 0 || this.blocked.has(queue.nodeId)) return;
+            const head = queue.items[0];
+            if (now !== undefined && head.due > now) return;
+            if (!next || head.due < next.items[0].due ||
+                (head.due === next.items[0].due && head.sequence < next.items[0].sequence)) {
+                next = queue;
+            }
+        });
+        return next;
+    }
+
+    schedule() {
+        let next = this.nextQueue();
+        if (!next && this.breakDeadlock()) {
+            next = this.nextQueue();
+        }
+        if (!next) return;
+
+        const due = next.items[0].due;
+        if (this.timer !== null && this.timerDue <= due) return;
+
+        clearTimeout(this.timer);
+        this.timerDue = due;
+        this.timer = setTimeout(() => {
+            this.timer = null;
+            this.timerDue = null;
+            this.drain();
+        }, Math.max(0, due - Date.now()));
+    }
+
+    // Nothing can be delivered, nothing is in progress and messages are parked: every full
+    // queue belongs to a blocked node, so they wait on each other. Make room for the message
+    // parked longest by dropping the oldest in its target's queue. Returns true if it did.
+    breakDeadlock() {
+        let stalled = null;
+        for (const queue of this.queues.values()) {
+            if (queue.busy) return false;
+            if (queue.waiting.length > 0 && (!stalled || queue.waiting[0].sequence < stalled.waiting[0].sequence)) {
+                stalled = queue;
+            }
+        }
+        if (!stalled) return false;
+
+        const settings = this.getSettings(stalled.nodeId);
+        const delivery = stalled.waiting.shift();
+        this.logger.warn(`Blocked messages are waiting on each other in a loop - dropping the oldest message for ${stalled.nodeId}`);
+        if (stalled.items.length > 0) {
+            this.onDrop(stalled.nodeId, stalled.items.shift());
+        }
+        delivery.due = Date.now() + settings.hopDelay;
+        stalled.items.push(delivery);
+        this.unblock(delivery.sourceId);
+        this.onDepth(stalled.nodeId, this.depth(stalled.nodeId));
+        return true;
+    }
+
+    drain() {
+        for (let handled = 0; handled < SCHEDULER_BATCH_SIZE; handled++) {
+            const queue = this.nextQueue(Date.now());
+            if (!queue) break;
+            this.process(queue);
+        }
+        this.schedule();
+    }
+
+    process(queue) {
+        const delivery = queue.items.shift();
+
+        // Room has been made, so let in a message parked by the block policy
+        const settings = this.getSettings(queue.nodeId);
+        while (queue.waiting.length > 0 && queue.items.length < settings.queueLimit) {
+            const waiting = queue.waiting.shift();
+            waiting.due = Date.now() + settings.hopDelay;
+            queue.items.push(waiting);
+            this.unblock(waiting.sourceId);
+        }
+        this.onDepth(queue.nodeId, this.depth(queue.nodeId));
+
+        let result;
+        try {
+            result = this.deliver(delivery);
+        } catch (error) {
+            this.logger.error(`Failed to deliver a message to ${queue.nodeId}:`, error);
+        }
+
+        // A node that works asynchronously (e.g. Function) takes its next message once it is done
+        if (result && typeof result.then === 'function') {
+            queue.busy = true;
+            const done = () => {
+                queue.busy = false;
+                this.schedule();
+            };
+            result.then(done, done);
+        }
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { MessageScheduler, OVERFLOW_POLICIES };
+}
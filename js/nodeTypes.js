@@ -9,10 +9,12 @@ const NODE_TYPES = {
         outputs: 1,
         defaults: {
             name: '',
+            valueType: 'string',
             value: ''
         },
         configFields: [
             { name: 'name', label: 'Name', type: 'text' },
+            { name: 'valueType', label: 'Value Type', type: 'select', options: ['string', 'number', 'boolean', 'json', 'timestamp'] },
             { name: 'value', label: 'Initial Value', type: 'text' }
         ]
     },
@@ -61,11 +63,15 @@ const NODE_TYPES = {
         outputs: 1,
         defaults: {
             name: '',
-            func: 'return msg;'
+            func: 'return msg;',
+            outputs: 1,
+            timeout: 1000
         },
         configFields: [
             { name: 'name', label: 'Name', type: 'text' },
-            { name: 'func', label: 'Function', type: 'textarea' }
+            { name: 'func', label: 'Function', type: 'textarea' },
+            { name: 'outputs', label: 'Outputs', type: 'number' },
+            { name: 'timeout', label: 'Timeout (ms)', type: 'number' }
         ]
     },
     filter: {
@@ -84,6 +90,27 @@ const NODE_TYPES = {
             { name: 'condition', label: 'Filter Condition', type: 'text' }
         ]
     },
+    // One output per rule
+    switch: {
+        name: 'Switch',
+        icon: '🔀',
+        color: '#17a2b8',
+        category: 'function',
+        inputs: 1,
+        outputs: 1,
+        defaults: {
+            name: '',
+            property: 'payload',
+            rules: [{ operator: 'eq', value: '' }],
+            match: 'first'
+        },
+        configFields: [
+            { name: 'name', label: 'Name', type: 'text' },
+            { name: 'property', label: 'Property', type: 'text' },
+            { name: 'rules', label: 'Rules', type: 'switchRules' },
+            { name: 'match', label: 'Send To', type: 'select', options: ['first', 'all'] }
+        ]
+    },
     transform: {
         name: 'Transform',
         icon: '🔄',
@@ -98,7 +125,380 @@ const NODE_TYPES = {
         },
         configFields: [
             { name: 'name', label: 'Name', type: 'text' },
-            { name: 'property', label: 'Property', type: 'text' }
+            { name: 'property', label: 'Property', type: 'text' },
+            { name: 'rules', label: 'Rules', type: 'rules' }
+        ]
+    },
+    template: {
+        name: 'Template',
+        icon: '📝',
+        color: '#5d8aa8',
+        category: 'function',
+        inputs: 1,
+        outputs: 1,
+        defaults: {
+            name: '',
+            property: 'payload',
+            template: 'Hello {{payload}}',
+            output: 'text'
+        },
+        configFields: [
+            { name: 'name', label: 'Name', type: 'text' },
+            { name: 'property', label: 'Set Property', type: 'text' },
+            { name: 'template', label: 'Template', type: 'textarea' },
+            { name: 'output', label: 'Output As', type: 'select', options: ['text', 'json'] }
+        ]
+    },
+    // Paces messages: a fixed or random delay, or a rate limit overall or per msg.topic
+    delay: {
+        name: 'Delay',
+        icon: '⏳',
+        color: '#e2a03f',
+        category: 'function',
+        inputs: 1,
+        outputs: 1,
+        defaults: {
+            name: '',
+            mode: 'delay',
+            delay: '1000',
+            maxDelay: '5000',
+            rate: '1',
+            interval: '1000',
+            drop: false
+        },
+        configFields: [
+            { name: 'name', label: 'Name', type: 'text' },
+            { name: 'mode', label: 'Mode', type: 'select', options: ['delay', 'random', 'rate', 'topic'] },
+            { name: 'delay', label: 'Delay / Min Delay (ms)', type: 'number' },
+            { name: 'maxDelay', label: 'Max Delay (ms)', type: 'number' },
+            { name: 'rate', label: 'Messages per Interval', type: 'number' },
+            { name: 'interval', label: 'Interval (ms)', type: 'number' },
+            { name: 'drop', label: 'Drop Extra Messages', type: 'checkbox' }
+        ]
+    },
+    // Reads records that Output nodes stored in a collection; the filter sees each one as `record`
+    query: {
+        name: 'Query',
+        icon: '🔎',
+        color: '#2e8b57',
+        category: 'function',
+        inputs: 1,
+        outputs: 1,
+        defaults: {
+            name: '',
+            collection: 'data',
+            filter: '',
+            sort: '',
+            order: 'asc',
+            limit: '',
+            property: 'payload'
+        },
+        configFields: [
+            { name: 'name', label: 'Name', type: 'text' },
+            { name: 'collection', label: 'Collection', type: 'text' },
+            { name: 'filter', label: 'Filter', type: 'text', placeholder: 'record.nodes.length > 5' },
+            { name: 'sort', label: 'Sort By', type: 'text', placeholder: 'timestamp' },
+            { name: 'order', label: 'Order', type: 'select', options: ['asc', 'desc'] },
+            { name: 'limit', label: 'Limit', type: 'number' },
+            { name: 'property', label: 'Set Property', type: 'text' }
+        ]
+    },
+    catch: {
+        name: 'Catch',
+        icon: '🪝',
+        color: '#c0392b',
+        category: 'function',
+        inputs: 0,
+        outputs: 1,
+        defaults: {
+            name: '',
+            scope: 'all',
+            nodes: []
+        },
+        configFields: [
+            { name: 'name', label: 'Name', type: 'text' },
+            { name: 'scope', label: 'Catch Errors From', type: 'select', options: ['all', 'selected'] },
+            { name: 'nodes', label: 'Selected Nodes', type: 'nodes' }
+        ]
+    },
+    linkIn: {
+        name: 'Link In',
+        icon: '📨',
+        color: '#95a5a6',
+        category: 'function',
+        inputs: 0,
+        outputs: 1,
+        defaults: {
+            name: ''
+        },
+        configFields: [
+            { name: 'name', label: 'Name', type: 'text' }
+        ]
+    },
+    linkOut: {
+        name: 'Link Out',
+        icon: '📮',
+        color: '#95a5a6',
+        category: 'function',
+        inputs: 1,
+        outputs: 0,
+        defaults: {
+            name: '',
+            links: []
+        },
+        configFields: [
+            { name: 'name', label: 'Name', type: 'text' },
+            { name: 'links', label: 'Send To', type: 'nodes', nodeType: 'linkIn', allFlows: true }
+        ]
+    },
+    // Parser nodes; the auto action parses strings and writes anything else out as text
+    json: {
+        name: 'JSON',
+        icon: '🧾',
+        color: '#b5a46d',
+        category: 'parser',
+        inputs: 1,
+        outputs: 1,
+        defaults: {
+            name: '',
+            property: 'payload',
+            action: 'auto',
+            pretty: false,
+            schema: ''
+        },
+        configFields: [
+            { name: 'name', label: 'Name', type: 'text' },
+            { name: 'property', label: 'Property', type: 'text' },
+            { name: 'action', label: 'Action', type: 'select', options: ['auto', 'parse', 'stringify'] },
+            { name: 'pretty', label: 'Pretty Print', type: 'checkbox' },
+            { name: 'schema', label: 'JSON Schema (optional)', type: 'textarea' }
+        ]
+    },
+    csv: {
+        name: 'CSV',
+        icon: '📑',
+        color: '#b5a46d',
+        category: 'parser',
+        inputs: 1,
+        outputs: 1,
+        defaults: {
+            name: '',
+            property: 'payload',
+            action: 'auto',
+            delimiter: ',',
+            quote: '"',
+            header: true,
+            columns: '',
+            coerce: true,
+            output: 'array'
+        },
+        configFields: [
+            { name: 'name', label: 'Name', type: 'text' },
+            { name: 'property', label: 'Property', type: 'text' },
+            { name: 'action', label: 'Action', type: 'select', options: ['auto', 'parse', 'stringify'] },
+            { name: 'delimiter', label: 'Delimiter', type: 'text' },
+            { name: 'quote', label: 'Quote Character', type: 'text' },
+            { name: 'header', label: 'First Row Is Header', type: 'checkbox' },
+            { name: 'columns', label: 'Columns', type: 'text', placeholder: 'from the header row, e.g. id, name' },
+            { name: 'coerce', label: 'Convert Numbers and Booleans', type: 'checkbox' },
+            { name: 'output', label: 'Output Rows As', type: 'select', options: ['array', 'messages'] }
+        ]
+    },
+    xml: {
+        name: 'XML',
+        icon: '🏷️',
+        color: '#b5a46d',
+        category: 'parser',
+        inputs: 1,
+        outputs: 1,
+        defaults: {
+            name: '',
+            property: 'payload',
+            action: 'auto',
+            pretty: false
+        },
+        configFields: [
+            { name: 'name', label: 'Name', type: 'text' },
+            { name: 'property', label: 'Property', type: 'text' },
+            { name: 'action', label: 'Action', type: 'select', options: ['auto', 'parse', 'stringify'] },
+            { name: 'pretty', label: 'Pretty Print', type: 'checkbox' }
+        ]
+    },
+    // Sequence nodes; split parts carry msg.parts = { id, index, count, type, key, delimiter, property }
+    split: {
+        name: 'Split',
+        icon: '✂️',
+        color: '#c9a227',
+        category: 'sequence',
+        inputs: 1,
+        outputs: 1,
+        defaults: {
+            name: '',
+            property: 'payload',
+            delimiter: '\\n'
+        },
+        configFields: [
+            { name: 'name', label: 'Name', type: 'text' },
+            { name: 'property', label: 'Property', type: 'text' },
+            { name: 'delimiter', label: 'String Delimiter', type: 'text' }
+        ]
+    },
+    join: {
+        name: 'Join',
+        icon: '🧷',
+        color: '#c9a227',
+        category: 'sequence',
+        inputs: 1,
+        outputs: 1,
+        defaults: {
+            name: '',
+            mode: 'auto',
+            property: 'payload',
+            count: '',
+            key: 'topic',
+            timeout: ''
+        },
+        configFields: [
+            { name: 'name', label: 'Name', type: 'text' },
+            { name: 'mode', label: 'Mode', type: 'select', options: ['auto', 'count', 'key'] },
+            { name: 'property', label: 'Property', type: 'text' },
+            { name: 'count', label: 'Message Count', type: 'number' },
+            { name: 'key', label: 'Key Property', type: 'text' },
+            { name: 'timeout', label: 'Timeout (ms)', type: 'number' }
+        ]
+    },
+    batch: {
+        name: 'Batch',
+        icon: '📚',
+        color: '#c9a227',
+        category: 'sequence',
+        inputs: 1,
+        outputs: 1,
+        defaults: {
+            name: '',
+            mode: 'count',
+            property: 'payload',
+            count: '10',
+            interval: '1000'
+        },
+        configFields: [
+            { name: 'name', label: 'Name', type: 'text' },
+            { name: 'mode', label: 'Mode', type: 'select', options: ['count', 'interval'] },
+            { name: 'property', label: 'Property', type: 'text' },
+            { name: 'count', label: 'Messages per Batch', type: 'number' },
+            { name: 'interval', label: 'Interval (ms)', type: 'number' }
+        ]
+    },
+    // The URL may use {{msg properties}}, which are URL-encoded; without a URL, msg.url is used
+    http: {
+        name: 'HTTP Request',
+        icon: '🌐',
+        color: '#3d9970',
+        category: 'network',
+        inputs: 1,
+        outputs: 1,
+        defaults: {
+            name: '',
+            method: 'GET',
+            url: '',
+            headers: '',
+            body: 'payload',
+            ret: 'text',
+            timeout: '10000'
+        },
+        configFields: [
+            { name: 'name', label: 'Name', type: 'text' },
+            { name: 'method', label: 'Method', type: 'select', options: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'HEAD', 'msg.method'] },
+            { name: 'url', label: 'URL', type: 'text', placeholder: 'https://example.com/items/{{payload.id}}' },
+            { name: 'headers', label: 'Headers (Name: value per line)', type: 'textarea' },
+            { name: 'body', label: 'Body Property', type: 'text', placeholder: 'none' },
+            { name: 'ret', label: 'Response', type: 'select', options: ['text', 'json', 'binary'] },
+            { name: 'timeout', label: 'Timeout (ms)', type: 'number' }
+        ]
+    },
+    // WebSocket nodes connect to a URL or, headless only, listen on a port and path. Nodes with
+    // the same URL or port and path share one connection.
+    websocketIn: {
+        name: 'WebSocket In',
+        icon: '📡',
+        color: '#4a7fb5',
+        category: 'network',
+        inputs: 0,
+        outputs: 1,
+        defaults: {
+            name: '',
+            mode: 'connect',
+            url: 'ws://localhost:1880/ws',
+            port: '1880',
+            path: '/ws',
+            format: 'json',
+            reconnect: true
+        },
+        configFields: [
+            { name: 'name', label: 'Name', type: 'text' },
+            { name: 'mode', label: 'Mode', type: 'select', options: ['connect', 'listen'] },
+            { name: 'url', label: 'URL (connect)', type: 'text', placeholder: 'ws://localhost:1880/ws' },
+            { name: 'port', label: 'Port (listen)', type: 'number' },
+            { name: 'path', label: 'Path (listen)', type: 'text' },
+            { name: 'format', label: 'Frames', type: 'select', options: ['json', 'text'] },
+            { name: 'reconnect', label: 'Reconnect', type: 'checkbox' }
+        ]
+    },
+    websocketOut: {
+        name: 'WebSocket Out',
+        icon: '📢',
+        color: '#4a7fb5',
+        category: 'network',
+        inputs: 1,
+        outputs: 0,
+        defaults: {
+            name: '',
+            mode: 'connect',
+            url: 'ws://localhost:1880/ws',
+            port: '1880',
+            path: '/ws',
+            format: 'json',
+            reconnect: true
+        },
+        configFields: [
+            { name: 'name', label: 'Name', type: 'text' },
+            { name: 'mode', label: 'Mode', type: 'select', options: ['connect', 'listen'] },
+            { name: 'url', label: 'URL (connect)', type: 'text', placeholder: 'ws://localhost:1880/ws' },
+            { name: 'port', label: 'Port (listen)', type: 'number' },
+            { name: 'path', label: 'Path (listen)', type: 'text' },
+            { name: 'format', label: 'Frames', type: 'select', options: ['json', 'text'] },
+            { name: 'reconnect', label: 'Reconnect', type: 'checkbox' }
+        ]
+    },
+    // Ports of a subflow; only meaningful on a subflow tab
+    subflowIn: {
+        name: 'Subflow Input',
+        icon: '⇥',
+        color: '#b39ddb',
+        category: 'subflow',
+        inputs: 0,
+        outputs: 1,
+        defaults: {
+            name: ''
+        },
+        configFields: [
+            { name: 'name', label: 'Name', type: 'text' }
+        ]
+    },
+    subflowOut: {
+        name: 'Subflow Output',
+        icon: '↦',
+        color: '#b39ddb',
+        category: 'subflow',
+        inputs: 1,
+        outputs: 0,
+        defaults: {
+            name: '',
+            port: 1
+        },
+        configFields: [
+            { name: 'name', label: 'Name', type: 'text' },
+            { name: 'port', label: 'Output Port', type: 'number' }
         ]
     },
     output: {
@@ -110,11 +510,31 @@ const NODE_TYPES = {
         outputs: 0,
         defaults: {
             name: '',
-            target: 'console'
+            target: 'console',
+            filename: 'output-{{date}}.jsonl',
+            format: 'jsonl',
+            columns: '',
+            append: true,
+            rotate: 'none',
+            maxSize: '1024',
+            collection: 'data',
+            mode: 'insert',
+            key: 'payload.id'
         },
+        // The file settings apply to the "file" target; the filename may use {{date}}, {{time}}
+        // and message properties. The database target stores msg.payload in a collection.
         configFields: [
             { name: 'name', label: 'Name', type: 'text' },
-            { name: 'target', label: 'Target', type: 'select', options: ['console', 'file', 'database'] }
+            { name: 'target', label: 'Target', type: 'select', options: ['console', 'file', 'database'] },
+            { name: 'filename', label: 'Filename (file)', type: 'text', placeholder: 'results/{{topic}}-{{date}}.jsonl' },
+            { name: 'format', label: 'Format (file)', type: 'select', options: ['jsonl', 'csv'] },
+            { name: 'columns', label: 'CSV Columns (comma separated)', type: 'text', placeholder: 'from the first message' },
+            { name: 'append', label: 'Append (file)', type: 'checkbox' },
+            { name: 'rotate', label: 'Rotate (headless)', type: 'select', options: ['none', 'size', 'daily'] },
+            { name: 'maxSize', label: 'Rotate at Size (KB)', type: 'number' },
+            { name: 'collection', label: 'Collection (database)', type: 'text' },
+            { name: 'mode', label: 'Store As (database)', type: 'select', options: ['insert', 'upsert'] },
+            { name: 'key', label: 'Upsert Key Property', type: 'text', placeholder: 'payload.id' }
         ]
     },
     debug: {
@@ -0,0 +1,507 @@
+// Text formats for the parser nodes: CSV and XML in both directions, and JSON Schema validation
+const Parsers = (function() {
+    function lineAt(text, position) {
+        return text.slice(0, position).split('\n').length;
+    }
+
+    function deepEqual(a, b) {
+        if (a === b) return true;
+        if (a === null || b === null || typeof a !== 'object' || typeof b !== 'object') return false;
+        if (Array.isArray(a) !== Array.isArray(b)) return false;
+        const keys = Object.keys(a);
+        if (keys.length !== Object.keys(b).length) return false;
+        return keys.every(key => Object.prototype.hasOwnProperty.call(b, key) && deepEqual(a[key], b[key]));
+    }
+
+    // --- CSV ---
+
+    // Split CSV text into rows of fields. Quoted fields may hold the delimiter, newlines and
+    // doubled quotes; blank lines are skipped.
+    function splitRows(text, delimiter, quote) {
+        const rows = [];
+        let row = [];
+        let field = '';
+        let quoteStart = -1;
+        let i = 0;
+
+        while (i < text.length) {
+            const char = text[i];
+            if (quoteStart >= 0) {
+                if (char === quote && text[i + 1] === quote) {
+                    field += quote;
+                    i += 2;
+                } else if (char === quote) {
+                    quoteStart = -1;
+                    i++;
+                } else {
+                    field += char;
+                    i++;
+                }
+            } else if (quote && char === quote && field === '') {
+                quoteStart = i;
+                i++;
+            } else if (text.startsWith(delimiter, i)) {
+                row.push(field);
+                field = '';
+                i += delimiter.length;
+            } else if (char === '\r' || char === '\n') {
+                row.push(field);
+                rows.push(row);
+                row = [];
+                field = '';
+                i += char === '\r' && text[i + 1] === '\n' ? 2 : 1;
+            } else {
+                field += char;
+                i++;
+            }
+        }
+        if (quoteStart >= 0) {
+            throw new Error(`Quoted field starting on line ${lineAt(text, quoteStart)} is never closed`);
+        }
+        if (field !== '' || row.length > 0) {
+            row.push(field);
+            rows.push(row);
+        }
+        return rows.filter(fields => fields.length > 1 || fields[0] !== '');
+    }
+
+    // Numbers and booleans written as text become numbers and booleans. Numbers with a
+    // leading zero (postcodes, IDs) are kept as text.
+    function coerceValue(value) {
+        const trimmed = value.trim();
+        if (/^[-+]?(\d+\.?\d*|\.\d+)([eE][-+]?\d+)?$/.test(trimmed) && !/^[-+]?0\d/.test(trimmed)) {
+            return Number(trimmed);
+        }
+        if (trimmed === 'true') return true;
+        if (trimmed === 'false') return false;
+        return value;
+    }
+
+    // Comma-separated column names, e.g. "id, name, email"
+    function parseColumns(columns) {
+        if (Array.isArray(columns)) return columns;
+        return String(columns || '').split(',').map(name => name.trim()).filter(name => name);
+    }
+
+    function parseCsv(text, options = {}) {
+        const delimiter = options.delimiter || ',';
+        const quote = options.quote === undefined ? '"' : options.quote;
+        const rows = splitRows(String(text), delimiter, quote);
+
+        let columns = parseColumns(options.columns);
+        if (options.header !== false && rows.length > 0) {
+            const header = rows.shift();
+            if (columns.length === 0) columns = header.map(name => name.trim());
+        }
+
+        // Records have no prototype, so a column named "__proto__" is just another field
+        return rows.map(fields => {
+            const record = Object.create(null);
+            fields.forEach((value, index) => {
+                const column = columns[index] || `col${index + 1}`;
+                record[column] = options.coerce === false ? value : coerceValue(value);
+            });
+            return record;
+        });
+    }
+
+    function formatField(value, delimiter, quote) {
+        if (value === undefined || value === null) return '';
+        const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+        const needsQuotes = text.includes(delimiter) || text.includes('\n') || text.includes('\r') ||
+            (quote && text.includes(quote)) || text !== text.trim();
+        if (!needsQuotes || !quote) return text;
+        return quote + text.split(quote).join(quote + quote) + quote;
+    }
+
+    // Rows are objects (written under the given columns, or every key in order of first
+    // appearance) or arrays of values. Each line ends with a newline, so the CSV of
+    // single-row messages can be appended together.
+    function stringifyCsv(rows, options = {}) {
+        const delimiter = options.delimiter || ',';
+        const quote = options.quote === undefined ? '"' : options.quote;
+        const list = Array.isArray(rows) && (rows.length === 0 || typeof rows[0] === 'object') ? rows : [rows];
+
+        let columns = parseColumns(options.columns);
+        if (columns.length === 0) {
+            list.forEach(row => {
+                if (row && typeof row === 'object' && !Array.isArray(row)) {
+                    Object.keys(row).forEach(key => {
+                        if (!columns.includes(key)) columns.push(key);
+                    });
+                }
+            });
+        }
+
+        const lines = [];
+        if (options.header !== false && columns.length > 0) {
+            lines.push(columns.map(column => formatField(column, delimiter, quote)).join(delimiter));
+        }
+        list.forEach(row => {
+            if (row === null || typeof row !== 'object') {
+                throw new Error(`Cannot write ${JSON.stringify(row)} as a CSV row - send objects or arrays`);
+            }
+            const values = Array.isArray(row) ? row : columns.map(column => row[column]);
+            lines.push(values.map(value => formatField(value, delimiter, quote)).join(delimiter));
+        });
+        return lines.map(line => line + '\n').join('');
+    }
+
+    // --- XML ---
+
+    const ENTITIES = { lt: '<', gt: '>', amp: '&', quot: '"', apos: "'" };
+
+    function decodeEntities(text) {
+        return text.replace(/&(#x[0-9a-fA-F]+|#\d+|\w+);/g, (match, entity) => {
+            if (entity[0] === '#') {
+                return String.fromCodePoint(entity[1] === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10));
+            }
+            return Object.prototype.hasOwnProperty.call(ENTITIES, entity) ? ENTITIES[entity] : match;
+        });
+    }
+
+    function encodeEntities(text) {
+        return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+    }
+
+    // Elements become objects: attributes go under "$", text next to child elements under "_",
+    // and repeated child elements become arrays. An element with only text becomes that text.
+    function parseXml(text) {
+        const source = String(text);
+        let i = 0;
+
+        const fail = message => new Error(`${message} on line ${lineAt(source, i)}`);
+        const skipWhitespace = () => {
+            while (i < source.length && /\s/.test(source[i])) i++;
+        };
+        const skipUntil = (terminator, what) => {
+            const end = source.indexOf(terminator, i);
+            if (end === -1) throw fail(`Unclosed ${what}`);
+            const content = source.slice(i, end);
+            i = end + terminator.length;
+            return content;
+        };
+        const readName = () => {
+            const match = /^[A-Za-z_][\w.:-]*/.exec(source.slice(i, i + 200));
+            if (!match) throw fail('Expected an element or attribute name');
+            i += match[0].length;
+            return match[0];
+        };
+        // Comments, processing instructions and the doctype carry no data
+        const skipMarkup = () => {
+            if (source.startsWith('<!--', i)) {
+                i += 4;
+                skipUntil('-->', 'comment');
+            } else if (source.startsWith('<?', i)) {
+                i += 2;
+                skipUntil('?>', 'processing instruction');
+            } else if (source.startsWith('<!DOCTYPE', i)) {
+                i += 9;
+                skipUntil('>', 'doctype');
+            } else {
+                return false;
+            }
+            return true;
+        };
+
+        const parseElement = () => {
+            i++;
+            const name = readName();
+            // No prototypes here either: element and attribute names come from the input
+            const attributes = Object.create(null);
+            let selfClosing = false;
+
+            for (;;) {
+                skipWhitespace();
+                if (source.startsWith('/>', i)) {
+                    i += 2;
+                    selfClosing = true;
+                    break;
+                }
+                if (source[i] === '>') {
+                    i++;
+                    break;
+                }
+                if (i >= source.length) throw fail(`Unclosed <${name}> tag`);
+                const attribute = readName();
+                skipWhitespace();
+                if (source[i] !== '=') throw fail(`Attribute "${attribute}" has no value`);
+                i++;
+                skipWhitespace();
+                const quote = source[i];
+                if (quote !== '"' && quote !== "'") throw fail(`Value of attribute "${attribute}" must be quoted`);
+                i++;
+                attributes[attribute] = decodeEntities(skipUntil(quote, `value of attribute "${attribute}"`));
+            }
+
+            const children = Object.create(null);
+            let content = '';
+            while (!selfClosing) {
+                if (i >= source.length) throw fail(`Element <${name}> is never closed`);
+                if (source.startsWith('<![CDATA[', i)) {
+                    i += 9;
+                    content += skipUntil(']]>', 'CDATA section');
+                } else if (source.startsWith('</', i)) {
+                    i += 2;
+                    const closing = readName();
+                    if (closing !== name) throw fail(`Expected </${name}> but found </${closing}>`);
+                    skipWhitespace();
+                    if (source[i] !== '>') throw fail(`Unclosed </${name}> tag`);
+                    i++;
+                    break;
+                } else if (skipMarkup()) {
+                    continue;
+                } else if (source[i] === '<') {
+                    const child = parseElement();
+                    if (Object.prototype.hasOwnProperty.call(children, child.name)) {
+                        if (!Array.isArray(children[child.name])) children[child.name] = [children[child.name]];
+                        children[child.name].push(child.value);
+                    } else {
+                        children[child.name] = child.value;
+                    }
+                } else {
+                    const end = source.indexOf('<', i);
+                    content += decodeEntities(source.slice(i, end === -1 ? source.length : end));
+                    i = end === -1 ? source.length : end;
+                }
+            }
+
+            const text = content.trim();
+            const hasAttributes = Object.keys(attributes).length > 0;
+            if (!hasAttributes && Object.keys(children).length === 0) {
+                return { name, value: text };
+            }
+            const value = Object.create(null);
+            if (hasAttributes) value.$ = attributes;
+            Object.assign(value, children);
+            if (text) value._ = text;
+            return { name, value };
+        };
+
+        for (;;) {
+            skipWhitespace();
+            if (!skipMarkup()) break;
+        }
+        if (source[i] !== '<') throw fail('Expected the root element');
+        const root = parseElement();
+        for (;;) {
+            skipWhitespace();
+            if (!skipMarkup()) break;
+        }
+        if (i < source.length) throw fail('Unexpected content after the root element');
+        const document = Object.create(null);
+        document[root.name] = root.value;
+        return document;
+    }
+
+    // The reverse of parseXml; the object must have a single key, the root element
+    function stringifyXml(object, options = {}) {
+        const keys = object && typeof object === 'object' && !Array.isArray(object) ? Object.keys(object) : [];
+        if (keys.length !== 1) {
+            throw new Error('XML needs an object with a single root element, e.g. { "root": { ... } }');
+        }
+        const newline = options.pretty ? '\n' : '';
+
+        const element = (name, value, depth) => {
+            if (!/^[A-Za-z_][\w.:-]*$/.test(name)) {
+                throw new Error(`"${name}" is not a valid XML element name`);
+            }
+            if (Array.isArray(value)) {
+                return value.map(item => element(name, item, depth)).join(newline);
+            }
+
+            const indent = options.pretty ? '  '.repeat(depth) : '';
+            if (value === undefined || value === null || value === '') return `${indent}<${name}/>`;
+            if (typeof value !== 'object') return `${indent}<${name}>${encodeEntities(value)}</${name}>`;
+
+            const attributes = Object.keys(value.$ || {})
+                .map(attribute => ` ${attribute}="${encodeEntities(value.$[attribute])}"`).join('');
+            const childNames = Object.keys(value).filter(key => key !== '$' && key !== '_');
+            const text = value._ === undefined || value._ === null ? '' : encodeEntities(value._);
+            if (childNames.length === 0) {
+                return text ? `${indent}<${name}${attributes}>${text}</${name}>` : `${indent}<${name}${attributes}/>`;
+            }
+
+            const inner = childNames.map(child => element(child, value[child], depth + 1));
+            if (text) inner.unshift((options.pretty ? '  '.repeat(depth + 1) : '') + text);
+            return `${indent}<${name}${attributes}>${newline}${inner.join(newline)}${newline}${indent}</${name}>`;
+        };
+
+        return element(keys[0], object[keys[0]], 0);
+    }
+
+    // --- JSON Schema ---
+
+    const SCHEMA_TYPES = ['string', 'number', 'integer', 'boolean', 'object', 'array', 'null'];
+
+    function matchesType(value, type) {
+        switch (type) {
+            case 'integer': return Number.isInteger(value);
+            case 'number': return typeof value === 'number' && isFinite(value);
+            case 'array': return Array.isArray(value);
+            case 'object': return value !== null && typeof value === 'object' && !Array.isArray(value);
+            case 'null': return value === null;
+            default: return typeof value === type;
+        }
+    }
+
+    // "#/definitions/user" or "#/$defs/user" within the same schema
+    function resolveRef(root, ref) {
+        if (ref === '#') return root;
+        if (!ref.startsWith('#/')) throw new Error(`Only local schema references are supported, not "${ref}"`);
+        const target = ref.slice(2).split('/').reduce((current, key) => {
+            const name = key.replace(/~1/g, '/').replace(/~0/g, '~');
+            return current && typeof current === 'object' ? current[name] : undefined;
+        }, root);
+        if (target === undefined) throw new Error(`Schema reference "${ref}" not found`);
+        return target;
+    }
+
+    function childPath(path, key) {
+        if (typeof key === 'number') return `${path}[${key}]`;
+        return path ? `${path}.${key}` : key;
+    }
+
+    // Collects "<path> <problem>" messages for a value against a draft-07 style schema:
+    // type, enum, const, number and string limits, pattern, items, properties, required,
+    // additionalProperties, allOf / anyOf / oneOf / not and local $ref. refs lists the references
+    // followed for this same value, so one that leads back to itself is reported, not looped on.
+    function checkSchema(value, schema, path, root, errors, refs = []) {
+        if (schema === true || schema === undefined) return;
+        const where = path || 'value';
+        if (schema === false) {
+            errors.push(`${where} is not allowed`);
+            return;
+        }
+        if (schema.$ref) {
+            if (refs.includes(schema.$ref)) {
+                throw new Error(`Schema reference "${schema.$ref}" leads back to itself (${refs.concat(schema.$ref).join(' -> ')})`);
+            }
+            checkSchema(value, resolveRef(root, schema.$ref), path, root, errors, refs.concat(schema.$ref));
+            return;
+        }
+
+        if (schema.type !== undefined) {
+            const types = [].concat(schema.type);
+            if (!types.some(type => matchesType(value, type))) {
+                errors.push(`${where} must be ${types.join(' or ')}`);
+                return;
+            }
+        }
+        if (schema.enum && !schema.enum.some(option => deepEqual(option, value))) {
+            errors.push(`${where} must be one of ${schema.enum.map(option => JSON.stringify(option)).join(', ')}`);
+        }
+        if (Object.prototype.hasOwnProperty.call(schema, 'const') && !deepEqual(schema.const, value)) {
+            errors.push(`${where} must be ${JSON.stringify(schema.const)}`);
+        }
+
+        if (typeof value === 'number') {
+            if (schema.minimum !== undefined && value < schema.minimum) errors.push(`${where} must be >= ${schema.minimum}`);
+            if (schema.maximum !== undefined && value > schema.maximum) errors.push(`${where} must be <= ${schema.maximum}`);
+            if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) errors.push(`${where} must be > ${schema.exclusiveMinimum}`);
+            if (schema.exclusiveMaximum !== undefined && value >= schema.exclusiveMaximum) errors.push(`${where} must be < ${schema.exclusiveMaximum}`);
+            if (schema.multipleOf && Math.abs(value / schema.multipleOf - Math.round(value / schema.multipleOf)) > 1e-9) {
+                errors.push(`${where} must be a multiple of ${schema.multipleOf}`);
+            }
+        }
+
+        if (typeof value === 'string') {
+            const length = Array.from(value).length;
+            if (schema.minLength !== undefined && length < schema.minLength) errors.push(`${where} must have at least ${schema.minLength} character(s)`);
+            if (schema.maxLength !== undefined && length > schema.maxLength) errors.push(`${where} must have at most ${schema.maxLength} character(s)`);
+            if (schema.pattern !== undefined && !new RegExp(schema.pattern, 'u').test(value)) errors.push(`${where} must match ${schema.pattern}`);
+        }
+
+        if (Array.isArray(value)) {
+            if (schema.minItems !== undefined && value.length < schema.minItems) errors.push(`${where} must have at least ${schema.minItems} item(s)`);
+            if (schema.maxItems !== undefined && value.length > schema.maxItems) errors.push(`${where} must have at most ${schema.maxItems} item(s)`);
+            if (schema.uniqueItems && value.some((item, index) => value.findIndex(other => deepEqual(other, item)) !== index)) {
+                errors.push(`${where} must not contain duplicate items`);
+            }
+            if (Array.isArray(schema.items)) {
+                schema.items.forEach((itemSchema, index) => {
+                    if (index < value.length) checkSchema(value[index], itemSchema, childPath(path, index), root, errors);
+                });
+            } else if (schema.items !== undefined) {
+                value.forEach((item, index) => checkSchema(item, schema.items, childPath(path, index), root, errors));
+            }
+        }
+
+        if (matchesType(value, 'object')) {
+            const keys = Object.keys(value);
+            (schema.required || []).forEach(key => {
+                if (!Object.prototype.hasOwnProperty.call(value, key)) errors.push(`${where} must have property "${key}"`);
+            });
+            if (schema.minProperties !== undefined && keys.length < schema.minProperties) errors.push(`${where} must have at least ${schema.minProperties} propert(ies)`);
+            if (schema.maxProperties !== undefined && keys.length > schema.maxProperties) errors.push(`${where} must have at most ${schema.maxProperties} propert(ies)`);
+            const properties = schema.properties || {};
+            keys.forEach(key => {
+                if (Object.prototype.hasOwnProperty.call(properties, key)) {
+                    checkSchema(value[key], properties[key], childPath(path, key), root, errors);
+                } else if (schema.additionalProperties === false) {
+                    errors.push(`${where} must not have property "${key}"`);
+                } else if (schema.additionalProperties && typeof schema.additionalProperties === 'object') {
+                    checkSchema(value[key], schema.additionalProperties, childPath(path, key), root, errors);
+                }
+            });
+        }
+
+        const failures = subschema => {
+            const found = [];
+            checkSchema(value, subschema, path, root, found, refs);
+            return found;
+        };
+        (schema.allOf || []).forEach(subschema => checkSchema(value, subschema, path, root, errors, refs));
+        if (schema.anyOf && !schema.anyOf.some(subschema => failures(subschema).length === 0)) {
+            errors.push(`${where} must match at least one of the anyOf schemas`);
+        }
+        if (schema.oneOf) {
+            const matches = schema.oneOf.filter(subschema => failures(subschema).length === 0).length;
+            if (matches !== 1) errors.push(`${where} must match exactly one of the oneOf schemas (matched ${matches})`);
+        }
+        if (schema.not !== undefined && failures(schema.not).length === 0) {
+            errors.push(`${where} must not match the "not" schema`);
+        }
+    }
+
+    return {
+        csv: {
+            parse: parseCsv,
+            stringify: stringifyCsv
+        },
+        xml: {
+            parse: parseXml,
+            stringify: stringifyXml
+        },
+        jsonSchema: {
+            // Returns the list of problems, empty when the value matches. path names the value in them.
+            validate(value, schema, path = '') {
+                const errors = [];
+                checkSchema(value, schema, path, schema, errors);
+                return errors;
+            },
+            // Returns a description of what is wrong with a schema written as JSON text, or null
+            check(source) {
+                let schema;
+                try {
+                    schema = JSON.parse(source);
+                } catch (error) {
+                    return `Schema is not valid JSON: ${error.message}`;
+                }
+                if (typeof schema !== 'boolean' && (schema === null || typeof schema !== 'object' || Array.isArray(schema))) {
+                    return 'Schema must be a JSON object';
+                }
+                const unknown = [].concat(schema.type || []).find(type => !SCHEMA_TYPES.includes(type));
+                if (unknown) {
+                    return `Unknown schema type "${unknown}"`;
+                }
+                return null;
+            }
+        }
+    };
+})();
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Parsers;
+}
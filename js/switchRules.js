@@ -0,0 +1,147 @@
+// Switch node rules - each rule tests one message property and has its own output port
+const SwitchRules = (function(Expression) {
+    const OPERATORS = [
+        'eq', 'neq', 'lt', 'lte', 'gt', 'gte', 'between', 'contains', 'regex',
+        'true', 'false', 'null', 'notNull', 'empty', 'notEmpty', 'type', 'otherwise'
+    ];
+    const LABELS = {
+        eq: '==', neq: '!=', lt: '<', lte: '<=', gt: '>', gte: '>=', between: 'is between',
+        contains: 'contains', regex: 'matches regex', true: 'is true', false: 'is false',
+        null: 'is null', notNull: 'is not null', empty: 'is empty', notEmpty: 'is not empty',
+        type: 'is of type', otherwise: 'otherwise'
+    };
+    const TYPES = ['string', 'number', 'boolean', 'array', 'object', 'null', 'undefined'];
+
+    // Operators that take no value, and those that take a second one
+    const NO_VALUE = ['true', 'false', 'null', 'notNull', 'empty', 'notEmpty', 'otherwise'];
+    const NUMERIC = ['lt', 'lte', 'gt', 'gte', 'between'];
+
+    function typeOf(value) {
+        if (value === null) return 'null';
+        if (Array.isArray(value)) return 'array';
+        return typeof value;
+    }
+
+    function isEmpty(value) {
+        if (value === undefined || value === null || value === '') return true;
+        if (Array.isArray(value)) return value.length === 0;
+        if (typeof value === 'object') return Object.keys(value).length === 0;
+        return false;
+    }
+
+    // Rule values are typed as text: "5" equals the number 5 and "true" the boolean true
+    function equals(actual, expected) {
+        if (typeof actual === 'number') return actual === parseFloat(expected);
+        if (actual !== null && typeof actual === 'object') return JSON.stringify(actual) === expected;
+        return String(actual) === expected;
+    }
+
+    function compare(actual, rule) {
+        const value = rule.value === undefined ? '' : String(rule.value);
+
+        switch (rule.operator) {
+            case 'eq':
+                return equals(actual, value);
+            case 'neq':
+                return !equals(actual, value);
+            case 'lt':
+            case 'lte':
+            case 'gt':
+            case 'gte':
+            case 'between': {
+                const number = typeof actual === 'number' ? actual : actual === null || actual === '' ? NaN : Number(actual);
+                if (isNaN(number)) return false;
+                const limit = parseFloat(value);
+                if (rule.operator === 'lt') return number < limit;
+                if (rule.operator === 'lte') return number <= limit;
+                if (rule.operator === 'gt') return number > limit;
+                if (rule.operator === 'gte') return number >= limit;
+                const upper = parseFloat(rule.value2);
+                return number >= Math.min(limit, upper) && number <= Math.max(limit, upper);
+            }
+            case 'contains':
+                if (Array.isArray(actual)) return actual.some(item => equals(item, value));
+                return typeof actual === 'string' && actual.includes(value);
+            case 'regex':
+                return actual !== undefined && actual !== null &&
+                    new RegExp(value, rule.ignoreCase ? 'i' : '').test(typeof actual === 'object' ? JSON.stringify(actual) : String(actual));
+            case 'true':
+                return actual === true;
+            case 'false':
+                return actual === false;
+            case 'null':
+                return actual === null || actual === undefined;
+            case 'notNull':
+                return actual !== null && actual !== undefined;
+            case 'empty':
+                return isEmpty(actual);
+            case 'notEmpty':
+                return !isEmpty(actual);
+            case 'type':
+                return typeOf(actual) === value;
+            default:
+                throw new Error(`Unknown operator "${rule.operator}"`);
+        }
+    }
+
+    return {
+        OPERATORS,
+        LABELS,
+        TYPES,
+        NO_VALUE,
+
+        // Indices of the rules the message matches, in order. With checkAll every rule is
+        // tested; otherwise the first match wins. "otherwise" matches when no earlier rule did.
+        route(message, rules, options = {}) {
+            const value = Expression.getPath(message, options.property || 'payload');
+            const matched = [];
+            (Array.isArray(rules) ? rules : []).some((rule, index) => {
+                let isMatch;
+                try {
+                    isMatch = rule.operator === 'otherwise' ? matched.length === 0 : compare(value, rule);
+                } catch (error) {
+                    throw new Error(`Rule ${index + 1} (${LABELS[rule.operator] || rule.operator}): ${error.message}`);
+                }
+                if (isMatch) matched.push(index);
+                return isMatch && !options.checkAll;
+            });
+            return matched;
+        },
+
+        // Returns a description of the first invalid rule, or null if all rules are usable
+        validate(rules) {
+            if (!Array.isArray(rules)) {
+                return 'Rules must be a list';
+            }
+            for (let i = 0; i < rules.length; i++) {
+                const rule = rules[i];
+                const prefix = `Rule ${i + 1}`;
+                if (!OPERATORS.includes(rule.operator)) {
+                    return `${prefix}: unknown operator "${rule.operator}"`;
+                }
+                if (NUMERIC.includes(rule.operator) && isNaN(parseFloat(rule.value))) {
+                    return `${prefix}: "${rule.value}" is not a number`;
+                }
+                if (rule.operator === 'between' && isNaN(parseFloat(rule.value2))) {
+                    return `${prefix}: "${rule.value2}" is not a number`;
+                }
+                if (rule.operator === 'type' && !TYPES.includes(rule.value)) {
+                    return `${prefix}: unknown type "${rule.value}"`;
+                }
+                if (rule.operator === 'regex') {
+                    try {
+                        new RegExp(rule.value);
+                    } catch (error) {
+                        return `${prefix}: ${error.message}`;
+                    }
+                }
+            }
+            return null;
+        }
+    };
+})(typeof module !== 'undefined' && module.exports ? require('./expression').Expression : Expression);
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SwitchRules;
+}
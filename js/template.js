@@ -0,0 +1,169 @@
+// Mustache-style templates used by Template nodes (no eval / new Function)
+//
+// Supports {{name}} (HTML-escaped), {{{name}}} and {{& name}} (raw), dotted paths
+// ({{payload.user.name}}, {{items[0]}}), {{.}} for the current item, sections
+// ({{#list}}...{{/list}} loops over arrays and enters objects), inverted sections
+// ({{^list}}...{{/list}}) and comments ({{! note }}).
+const Template = (function(Expression) {
+    const ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+    function escapeHtml(text) {
+        return text.replace(/[&<>"']/g, char => ESCAPES[char]);
+    }
+
+    // Objects are written as JSON rather than "[object Object]"
+    function toText(value) {
+        if (value === undefined || value === null) return '';
+        if (typeof value === 'object') return JSON.stringify(value);
+        return String(value);
+    }
+
+    function lineNumber(source, position) {
+        return source.slice(0, position).split('\n').length;
+    }
+
+    // A section, inverted, closing or comment tag alone on its line takes the whole line
+    // with it, so loops over lines don't leave blank lines behind
+    function standaloneBounds(source, start, end) {
+        const lineStart = source.lastIndexOf('\n', start - 1) + 1;
+        let lineEnd = source.indexOf('\n', end);
+        if (lineEnd === -1) lineEnd = source.length;
+        if (source.slice(lineStart, start).trim() !== '' || source.slice(end, lineEnd).trim() !== '') {
+            return null;
+        }
+        return { start: lineStart, end: lineEnd < source.length ? lineEnd + 1 : lineEnd };
+    }
+
+    function parse(source) {
+        const root = { type: 'root', children: [] };
+        const stack = [root];
+        const tagPattern = /\{\{\{\s*([\s\S]*?)\s*\}\}\}|\{\{\s*([#^\/!&]?)\s*([\s\S]*?)\s*\}\}/g;
+        let position = 0;
+        let match;
+
+        const addText = text => {
+            if (text) stack[stack.length - 1].children.push({ type: 'text', value: text });
+        };
+
+        while ((match = tagPattern.exec(source)) !== null) {
+            const raw = match[1] !== undefined;
+            const sigil = raw ? '' : match[2];
+            const name = raw ? match[1] : match[3];
+            let start = match.index;
+            let end = tagPattern.lastIndex;
+
+            if (sigil !== '!' && !name) {
+                throw new Error(`Empty tag on line ${lineNumber(source, start)}`);
+            }
+            if (sigil !== '!' && name.startsWith('>')) {
+                throw new Error(`Partials are not supported (line ${lineNumber(source, start)})`);
+            }
+
+            if (['#', '^', '/', '!'].includes(sigil)) {
+                const bounds = standaloneBounds(source, start, end);
+                if (bounds) {
+                    start = bounds.start;
+                    end = bounds.end;
+                    tagPattern.lastIndex = end;
+                }
+            }
+            addText(source.slice(position, start));
+            position = end;
+
+            if (sigil === '!') continue;
+            if (name !== '.') {
+                // Rejects paths such as __proto__ while the template is still being written
+                Expression.parsePath(name);
+            }
+
+            if (sigil === '#' || sigil === '^') {
+                const section = { type: sigil === '#' ? 'section' : 'inverted', name, line: lineNumber(source, match.index), children: [] };
+                stack[stack.length - 1].children.push(section);
+                stack.push(section);
+            } else if (sigil === '/') {
+                const open = stack[stack.length - 1];
+                if (open.type === 'root') {
+                    throw new Error(`Closing tag {{/${name}}} on line ${lineNumber(source, match.index)} has no opening tag`);
+                }
+                if (open.name !== name) {
+                    throw new Error(`Section {{#${open.name}}} from line ${open.line} is closed by {{/${name}}}`);
+                }
+                stack.pop();
+            } else {
+                stack[stack.length - 1].children.push({ type: 'value', name, escape: !raw && sigil !== '&' });
+            }
+        }
+        addText(source.slice(position));
+
+        if (stack.length > 1) {
+            const open = stack[stack.length - 1];
+            throw new Error(`Section {{#${open.name}}} from line ${open.line} is never closed`);
+        }
+        return root;
+    }
+
+    // Look a name up in the innermost context that has its first key, as Mustache does
+    function lookup(contexts, name) {
+        if (name === '.') return contexts[contexts.length - 1];
+
+        const keys = Expression.parsePath(name);
+        for (let i = contexts.length - 1; i >= 0; i--) {
+            const context = contexts[i];
+            if (context !== null && typeof context === 'object' && Object.prototype.hasOwnProperty.call(context, keys[0])) {
+                return Expression.getPath(context, keys);
+            }
+        }
+        return undefined;
+    }
+
+    function renderNodes(nodes, contexts, escape, raw) {
+        return nodes.map(node => {
+            switch (node.type) {
+                case 'text':
+                    return node.value;
+                case 'value': {
+                    const text = toText(lookup(contexts, node.name));
+                    return node.escape ? escape(text) : raw(text);
+                }
+                case 'section': {
+                    const value = lookup(contexts, node.name);
+                    if (Array.isArray(value)) {
+                        return value.map(item => renderNodes(node.children, contexts.concat([item]), escape, raw)).join('');
+                    }
+                    return value ? renderNodes(node.children, contexts.concat([value]), escape, raw) : '';
+                }
+                case 'inverted': {
+                    const value = lookup(contexts, node.name);
+                    const empty = !value || (Array.isArray(value) && value.length === 0);
+                    return empty ? renderNodes(node.children, contexts, escape, raw) : '';
+                }
+            }
+            return '';
+        }).join('');
+    }
+
+    return {
+        parse,
+        // options.escape replaces HTML escaping for {{name}}, e.g. encodeURIComponent for URLs;
+        // with options.escapeAll it applies to {{{name}}} and {{& name}} as well
+        render(template, view, options = {}) {
+            const tree = typeof template === 'string' ? parse(template) : template;
+            const escape = options.escape || escapeHtml;
+            return renderNodes(tree.children, [view || {}], escape, options.escapeAll ? escape : text => text);
+        },
+        // Returns the parse error message for `source`, or null if it is valid
+        validate(source) {
+            try {
+                parse(source);
+                return null;
+            } catch (error) {
+                return error.message;
+            }
+        }
+    };
+})(typeof module !== 'undefined' && module.exports ? require('./expression').Expression : Expression);
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Template;
+}
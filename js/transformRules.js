@@ -0,0 +1,159 @@
+// Transform node rules - set, change, delete, move and convert message properties
+const TransformRules = (function(Expression) {
+    const ACTIONS = ['set', 'change', 'delete', 'move', 'convert'];
+    const VALUE_TYPES = ['str', 'num', 'bool', 'json', 'msg', 'date'];
+    const CONVERT_TYPES = ['string', 'number', 'boolean', 'json', 'object'];
+
+    function cloneMessage(message) {
+        if (typeof structuredClone === 'function') {
+            return structuredClone(message);
+        }
+        return JSON.parse(JSON.stringify(message));
+    }
+
+    // Resolve the value a "set" rule writes
+    function resolveValue(rule, message) {
+        const raw = rule.value === undefined ? '' : rule.value;
+        switch (rule.valueType || 'str') {
+            case 'num': {
+                const number = parseFloat(raw);
+                if (isNaN(number)) {
+                    throw new Error(`"${raw}" is not a number`);
+                }
+                return number;
+            }
+            case 'bool':
+                return String(raw).toLowerCase() === 'true';
+            case 'json':
+                return JSON.parse(raw);
+            case 'msg':
+                return cloneMessage(Expression.getPath(message, raw));
+            case 'date':
+                return Date.now();
+            default:
+                return String(raw);
+        }
+    }
+
+    function convertValue(value, toType) {
+        switch (toType) {
+            case 'string':
+                return value !== null && typeof value === 'object' ? JSON.stringify(value) : String(value);
+            case 'number': {
+                const number = Number(value);
+                if (value === null || value === '' || isNaN(number)) {
+                    throw new Error(`Cannot convert ${JSON.stringify(value)} to a number`);
+                }
+                return number;
+            }
+            case 'boolean':
+                if (typeof value === 'string') {
+                    return ['true', '1', 'yes', 'on'].includes(value.trim().toLowerCase());
+                }
+                return Boolean(value);
+            case 'json':
+                return JSON.stringify(value);
+            case 'object':
+                return typeof value === 'string' ? JSON.parse(value) : value;
+            default:
+                throw new Error(`Unknown conversion type "${toType}"`);
+        }
+    }
+
+    function replaceInString(value, rule) {
+        if (typeof value !== 'string' || !rule.search) return value;
+        if (rule.regex) {
+            return value.replace(new RegExp(rule.search, 'g'), rule.replace || '');
+        }
+        return value.split(rule.search).join(rule.replace || '');
+    }
+
+    function applyRule(message, rule, defaultProperty) {
+        const property = rule.property || defaultProperty;
+
+        switch (rule.action) {
+            case 'set':
+                Expression.setPath(message, property, resolveValue(rule, message));
+                break;
+            case 'change':
+                Expression.setPath(message, property, replaceInString(Expression.getPath(message, property), rule));
+                break;
+            case 'delete':
+                Expression.deletePath(message, property);
+                break;
+            case 'move': {
+                if (!rule.to || rule.to === property) break;
+                const value = Expression.getPath(message, property);
+                Expression.deletePath(message, property);
+                Expression.setPath(message, rule.to, value);
+                break;
+            }
+            case 'convert':
+                Expression.setPath(message, property, convertValue(Expression.getPath(message, property), rule.toType));
+                break;
+            default:
+                throw new Error(`Unknown rule action "${rule.action}"`);
+        }
+    }
+
+    return {
+        ACTIONS,
+        VALUE_TYPES,
+        CONVERT_TYPES,
+
+        // Apply rules in order to a copy of the message and return the copy
+        apply(message, rules, options = {}) {
+            const defaultProperty = options.property || 'payload';
+            const result = cloneMessage(message);
+            (Array.isArray(rules) ? rules : []).forEach((rule, index) => {
+                try {
+                    applyRule(result, rule, defaultProperty);
+                } catch (error) {
+                    throw new Error(`Rule ${index + 1} (${rule.action}): ${error.message}`);
+                }
+            });
+            return result;
+        },
+
+        // Returns a description of the first invalid rule, or null if all rules are usable
+        validate(rules) {
+            if (!Array.isArray(rules)) {
+                return 'Rules must be a list';
+            }
+            for (let i = 0; i < rules.length; i++) {
+                const rule = rules[i];
+                const prefix = `Rule ${i + 1}`;
+                try {
+                    if (!ACTIONS.includes(rule.action)) {
+                        return `${prefix}: unknown action "${rule.action}"`;
+                    }
+                    if (rule.property) Expression.parsePath(rule.property);
+                    if (rule.action === 'set' && rule.valueType === 'json') {
+                        JSON.parse(rule.value);
+                    }
+                    if (rule.action === 'set' && rule.valueType === 'num' && isNaN(parseFloat(rule.value))) {
+                        return `${prefix}: "${rule.value}" is not a number`;
+                    }
+                    if (rule.action === 'change' && rule.regex) {
+                        new RegExp(rule.search);
+                    }
+                    if (rule.action === 'move') {
+                        if (!rule.to) return `${prefix}: move needs a target property`;
+                        Expression.parsePath(rule.to);
+                    }
+                    if (rule.action === 'convert' && !CONVERT_TYPES.includes(rule.toType)) {
+                        return `${prefix}: unknown conversion type "${rule.toType}"`;
+                    }
+                } catch (error) {
+                    return `${prefix}: ${error.message}`;
+                }
+            }
+            return null;
+        }
+    };
+})(typeof module !== 'undefined' && module.exports ? require('./expression').Expression : Expression);
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TransformRules;
+}
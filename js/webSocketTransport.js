@@ -0,0 +1,363 @@
+// WebSocket transports used by WebSocket In and Out nodes. A transport implements
+//   connect(url, handlers) -> { send(text), close() }
+//     handlers: onOpen(), onMessage(text), onClose(reason). onClose is called once when the
+//     connection ends or could not be opened, but not after close().
+//   listen({ port, path }, handlers) -> { send(text, sessionId), close() }
+//     handlers: onListening(), onConnection(sessionId), onMessage(text, sessionId),
+//     onDisconnect(sessionId), onError(error). send() without a session goes to every client;
+//     with the session of a client that has gone it goes nowhere.
+// NativeWebSocketTransport uses the browser's WebSocket and cannot listen. NodeWebSocketTransport
+// speaks the protocol (RFC 6455) itself over Node's http module, so the headless runtime needs no
+// packages to connect or to host an endpoint.
+const WEBSOCKET_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+
+// Larger messages close the connection (status 1009)
+const MAX_WEBSOCKET_MESSAGE = 16 * 1024 * 1024;
+
+// A server that takes longer than this to complete the handshake is given up on
+const WEBSOCKET_HANDSHAKE_TIMEOUT = 10000;
+
+class NativeWebSocketTransport {
+    connect(url, handlers) {
+        const socket = new WebSocket(url);
+        socket.binaryType = 'arraybuffer';
+        let closed = false;
+
+        socket.onopen = () => handlers.onOpen();
+        socket.onmessage = event => {
+            handlers.onMessage(typeof event.data === 'string' ? event.data : new TextDecoder().decode(event.data));
+        };
+        // Browsers don't say why a connection failed; a close event always follows the error
+        socket.onclose = event => {
+            if (closed) return;
+            closed = true;
+            handlers.onClose(event.reason || `closed with code ${event.code}`);
+        };
+
+        return {
+            send: text => socket.send(text),
+            close: () => {
+                closed = true;
+                socket.close();
+            }
+        };
+    }
+
+    listen() {
+        throw new Error('Listening for WebSocket connections needs the headless runtime (bin/nextlevel)');
+    }
+}
+
+// One open WebSocket over a Node.js socket. Clients mask the frames they send, servers don't.
+class NodeWebSocketConnection {
+    constructor(socket, options) {
+        this.socket = socket;
+        this.mask = options.mask;
+        this.onMessage = options.onMessage;
+        this.onClose = options.onClose;
+        this.buffer = Buffer.alloc(0);
+        this.fragments = [];
+        this.fragmentSize = 0;
+        this.closed = false;
+        this.notified = false;
+
+        socket.setNoDelay(true);
+        socket.on('data', data => this.receive(data));
+        socket.on('close', () => this.finish('connection closed'));
+        socket.on('error', error => this.finish(error.message));
+        if (options.head && options.head.length > 0) {
+            this.receive(options.head);
+        }
+    }
+
+    receive(data) {
+        this.buffer = Buffer.concat([this.buffer, data]);
+        while (!this.closed) {
+            const frame = this.readFrame();
+            if (!frame) return;
+            this.handleFrame(frame);
+        }
+    }
+
+    // The next complete frame in the buffer, or null until more data arrives
+    readFrame() {
+        const buffer = this.buffer;
+        if (buffer.length < 2) return null;
+
+        let length = buffer[1] & 0x7f;
+        let offset = 2;
+        if (length === 126) {
+            if (buffer.length < 4) return null;
+            length = buffer.readUInt16BE(2);
+            offset = 4;
+        } else if (length === 127) {
+            if (buffer.length < 10) return null;
+            length = buffer.readUInt32BE(2) * 0x100000000 + buffer.readUInt32BE(6);
+            offset = 10;
+        }
+        if (length > MAX_WEBSOCKET_MESSAGE) {
+            this.fail(1009, 'Message too big');
+            return null;
+        }
+
+        // Clients must mask what they send and servers must not (RFC 6455 section 5.1)
+        const masked = (buffer[1] & 0x80) !== 0;
+        if (masked === this.mask) {
+            this.fail(1002, masked ? 'Frames from a server must not be masked' : 'Frames from a client must be masked');
+            return null;
+        }
+        const maskOffset = offset;
+        if (masked) offset += 4;
+        if (buffer.length < offset + length) return null;
+
+        const payload = Buffer.from(buffer.subarray(offset, offset + length));
+        if (masked) {
+            for (let i = 0; i < payload.length; i++) {
+                payload[i] ^= buffer[maskOffset + (i % 4)];
+            }
+        }
+        this.buffer = buffer.subarray(offset + length);
+        return { fin: (buffer[0] & 0x80) !== 0, opcode: buffer[0] & 0x0f, payload };
+    }
+
+    handleFrame(frame) {
+        switch (frame.opcode) {
+            case 0x0: // continuation
+            case 0x1: // text
+            case 0x2: // binary, passed on as UTF-8 text like everything else
+                if (frame.opcode !== 0x0) {
+                    this.fragments = [];
+                    this.fragmentSize = 0;
+                }
+                this.fragments.push(frame.payload);
+                this.fragmentSize += frame.payload.length;
+                if (this.fragmentSize > MAX_WEBSOCKET_MESSAGE) {
+                    this.fail(1009, 'Message too big');
+                } else if (frame.fin) {
+                    const text = Buffer.concat(this.fragments).toString('utf8');
+                    this.fragments = [];
+                    this.fragmentSize = 0;
+                    this.onMessage(text);
+                }
+                break;
+            case 0x8: {
+                const reason = frame.payload.length > 2 ? frame.payload.subarray(2).toString('utf8') : '';
+                this.fail(1000, '', reason ? `closed by peer: ${reason}` : 'closed by peer');
+                break;
+            }
+            case 0x9:
+                this.sendFrame(0xA, frame.payload);
+                break;
+            case 0xA:
+                break;
+            default:
+                this.fail(1002, `Unknown opcode ${frame.opcode}`);
+        }
+    }
+
+    sendFrame(opcode, payload) {
+        const length = payload.length;
+        let header;
+        if (length < 126) {
+            header = Buffer.alloc(2);
+            header[1] = length;
+        } else if (length < 0x10000) {
+            header = Buffer.alloc(4);
+            header[1] = 126;
+            header.writeUInt16BE(length, 2);
+        } else {
+            header = Buffer.alloc(10);
+            header[1] = 127;
+            header.writeUInt32BE(Math.floor(length / 0x100000000), 2);
+            header.writeUInt32BE(length >>> 0, 6);
+        }
+        header[0] = 0x80 | opcode;
+
+        if (!this.mask) {
+            this.socket.write(Buffer.concat([header, payload]));
+            return;
+        }
+        header[1] |= 0x80;
+        const key = require('crypto').randomBytes(4);
+        const masked = Buffer.from(payload);
+        for (let i = 0; i < masked.length; i++) {
+            masked[i] ^= key[i % 4];
+        }
+        this.socket.write(Buffer.concat([header, key, masked]));
+    }
+
+    send(text) {
+        if (this.closed) {
+            throw new Error('WebSocket is closed');
+        }
+        this.sendFrame(0x1, Buffer.from(String(text), 'utf8'));
+    }
+
+    // Send a close frame and hang up
+    fail(code, reason, closeReason = reason || 'closed') {
+        if (this.closed) return;
+        const payload = Buffer.alloc(2 + Buffer.byteLength(reason));
+        payload.writeUInt16BE(code, 0);
+        payload.write(reason, 2);
+        this.sendFrame(0x8, payload);
+        this.closed = true;
+        this.socket.end();
+        this.finish(closeReason);
+    }
+
+    finish(reason) {
+        this.closed = true;
+        if (this.notified) return;
+        this.notified = true;
+        this.onClose(reason);
+    }
+
+    close() {
+        this.notified = true;
+        this.fail(1000, '');
+    }
+}
+
+function webSocketAccept(key) {
+    return require('crypto').createHash('sha1').update(key + WEBSOCKET_GUID).digest('base64');
+}
+
+class NodeWebSocketTransport {
+    constructor(options = {}) {
+        this.handshakeTimeout = options.handshakeTimeout || WEBSOCKET_HANDSHAKE_TIMEOUT;
+    }
+
+    connect(url, handlers) {
+        const target = new URL(url);
+        const secure = target.protocol === 'wss:';
+        if (!secure && target.protocol !== 'ws:') {
+            throw new Error(`"${url}" is not a ws:// or wss:// URL`);
+        }
+
+        const key = require('crypto').randomBytes(16).toString('base64');
+        const request = require(secure ? 'https' : 'http').request({
+            hostname: target.hostname.replace(/^\[|\]$/g, ''),
+            port: target.port || (secure ? 443 : 80),
+            path: target.pathname + target.search,
+            headers: {
+                Connection: 'Upgrade',
+                Upgrade: 'websocket',
+                'Sec-WebSocket-Key': key,
+                'Sec-WebSocket-Version': '13'
+            }
+        });
+
+        let connection = null;
+        let closed = false;
+        const end = reason => {
+            clearTimeout(timer);
+            if (closed) return;
+            closed = true;
+            handlers.onClose(reason);
+        };
+        // Covers both the TCP connect and the upgrade; destroying the request reports an error
+        // that end() ignores, so the timeout is what onClose hears about
+        const timer = setTimeout(() => {
+            end(`no WebSocket handshake within ${this.handshakeTimeout}ms`);
+            request.destroy();
+        }, this.handshakeTimeout);
+
+        request.on('upgrade', (response, socket, head) => {
+            clearTimeout(timer);
+            if (closed) {
+                socket.destroy();
+                return;
+            }
+            if (response.headers['sec-websocket-accept'] !== webSocketAccept(key)) {
+                socket.destroy();
+                end('the server did not accept the WebSocket handshake');
+                return;
+            }
+            connection = new NodeWebSocketConnection(socket, { mask: true, head, onMessage: handlers.onMessage, onClose: end });
+            handlers.onOpen();
+        });
+        request.on('response', response => {
+            response.resume();
+            end(`the server answered HTTP ${response.statusCode} instead of upgrading`);
+        });
+        request.on('error', error => end(error.message));
+        request.end();
+
+        return {
+            send: text => {
+                if (!connection) throw new Error('WebSocket is not open yet');
+                connection.send(text);
+            },
+            close: () => {
+                clearTimeout(timer);
+                closed = true;
+                if (connection) {
+                    connection.close();
+                } else {
+                    request.destroy();
+                }
+            }
+        };
+    }
+
+    listen({ port, path }, handlers) {
+        const sessions = new Map();
+        let nextSession = 1;
+
+        const server = require('http').createServer((request, response) => {
+            response.writeHead(426, { 'Content-Type': 'text/plain' });
+            response.end('This endpoint only accepts WebSocket connections');
+        });
+        server.on('upgrade', (request, socket, head) => {
+            const key = request.headers['sec-websocket-key'];
+            if (request.url.split('?')[0] !== path || !key || String(request.headers.upgrade).toLowerCase() !== 'websocket') {
+                socket.end('HTTP/1.1 404 Not Found\r\nConnection: close\r\n\r\n');
+                return;
+            }
+            socket.write([
+                'HTTP/1.1 101 Switching Protocols',
+                'Upgrade: websocket',
+                'Connection: Upgrade',
+                `Sec-WebSocket-Accept: ${webSocketAccept(key)}`,
+                '', ''
+            ].join('\r\n'));
+
+            const sessionId = `session${nextSession++}`;
+            sessions.set(sessionId, new NodeWebSocketConnection(socket, {
+                mask: false,
+                head,
+                onMessage: text => handlers.onMessage(text, sessionId),
+                onClose: () => {
+                    sessions.delete(sessionId);
+                    handlers.onDisconnect(sessionId);
+                }
+            }));
+            handlers.onConnection(sessionId);
+        });
+        server.on('error', error => handlers.onError(error));
+        server.listen(port, () => handlers.onListening());
+
+        return {
+            // Returns the number of clients the text went to: 0 when sessionId names a client
+            // that has gone, since a reply meant for one client must not reach the others
+            send: (text, sessionId) => {
+                let targets = Array.from(sessions.values());
+                if (sessionId) {
+                    targets = sessions.has(sessionId) ? [sessions.get(sessionId)] : [];
+                }
+                targets.forEach(connection => connection.send(text));
+                return targets.length;
+            },
+            close: () => {
+                sessions.forEach(connection => connection.close());
+                sessions.clear();
+                server.close();
+            }
+        };
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { NativeWebSocketTransport, NodeWebSocketTransport };
+}